@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+/* global process */
+const {
+  loginToBullhorn,
+  credentialsFromEnv,
+  tokensFromEnv,
+  configFromEnv,
+  ping: pingStep,
+  BullhornSession,
+  FileTokenStore,
+  RateLimiter,
+  BullhornAuthError
+} = require("../index.js");
+
+const USAGE = `Usage: bullhorn-auth <command> [options]
+
+Commands:
+  login      Log in with BH_* environment variables and print the tokens
+  refresh    Obtain a new REST session with BH_REFRESH_TOKEN (never reuses BH_REST_TOKEN)
+  ping       Check BH_REST_URL/BH_REST_TOKEN and show the remaining rate limit
+  whoami     Show the API user and corporation behind the REST session
+
+Options:
+  --format <json|env>   Output format for login/refresh (default: json)
+  --token-file <path>   Read and save tokens in a JSON file between runs
+  --env-file <path>     Load environment variables from a file (requires dotenv 16.1+)
+  --ttl-days <n>        REST session TTL in days (default: BULLHORN_TTL or 30)
+  -h, --help            Show this help
+
+Examples:
+  eval "$(bullhorn-auth login --format env)"
+  curl -H "BhRestToken: $BH_REST_TOKEN" "$BH_REST_URL/settings/userId"`;
+
+class UsageError extends Error {}
+
+/**
+ * Parse command-line arguments
+ * @private
+ * @param {string[]} argv - Arguments after the executable and script
+ * @returns {Object} Command and options
+ */
+function parseArgs(argv) {
+  const options = { format: "json" };
+  let command;
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const [flag, inline] = arg.startsWith("--") && arg.includes("=") ? arg.split(/=(.*)/s) : [arg, undefined];
+    const value = () => {
+      const v = inline ?? argv[++i];
+      if (v === undefined) throw new UsageError(`${flag} requires a value`);
+      return v;
+    };
+    if (flag === "-h" || flag === "--help") options.help = true;
+    else if (flag === "--format") options.format = value();
+    else if (flag === "--token-file") options.tokenFile = value();
+    else if (flag === "--env-file") options.envFile = value();
+    else if (flag === "--ttl-days") options.ttlDays = Number(value());
+    else if (flag.startsWith("-")) throw new UsageError(`Unknown option: ${flag}`);
+    else if (!command) command = flag;
+    else throw new UsageError(`Unexpected argument: ${flag}`);
+  }
+  if (!["json", "env"].includes(options.format)) {
+    throw new UsageError("--format must be json or env");
+  }
+  return { command, options };
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Render tokens as JSON or as shell export lines
+ * @private
+ * @param {Object} result - Authentication result
+ * @param {string} format - "json" or "env"
+ * @returns {string} Output text
+ */
+function formatTokens(result, format) {
+  if (format === "json") return JSON.stringify(result, null, 2);
+  const vars = {
+    BH_REST_URL: result.restUrl,
+    BH_REST_TOKEN: result.restToken,
+    BH_REFRESH_TOKEN: result.refreshToken,
+    BH_ACCESS_TOKEN: result.accessToken
+  };
+  return Object.entries(vars)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([k, v]) => `export ${k}=${shellQuote(v)}`)
+    .join("\n");
+}
+
+function authConfig(env, options) {
+  const config = configFromEnv(env);
+  if (options.ttlDays !== undefined) config.ttlDays = options.ttlDays;
+  if (options.tokenFile) config.tokenStore = new FileTokenStore(options.tokenFile);
+  return config;
+}
+
+async function login(env, options) {
+  const result = await loginToBullhorn(
+    { credentials: credentialsFromEnv(env) ?? undefined, tokens: tokensFromEnv(env) },
+    authConfig(env, options)
+  );
+  return { output: formatTokens(result, options.format) };
+}
+
+async function refresh(env, options) {
+  const config = authConfig(env, options);
+  const store = config.tokenStore;
+  const stored = store ? await store.load() : null;
+  const refreshToken = stored?.refreshToken ?? tokensFromEnv(env).refreshToken;
+  // No password, so a failed refresh cannot fall back to a full login
+  const credentials = {
+    clientId: env.BH_CLIENT_ID,
+    clientSecret: env.BH_CLIENT_SECRET,
+    username: env.BH_USERNAME
+  };
+  if (!refreshToken || !credentials.clientId || !credentials.clientSecret || !credentials.username) {
+    throw new UsageError("refresh requires BH_REFRESH_TOKEN, BH_CLIENT_ID, BH_CLIENT_SECRET and BH_USERNAME");
+  }
+  if (store) {
+    // Hide the stored REST and access tokens so loginToBullhorn cannot reuse them; the
+    // store itself is only written once the refresh has succeeded
+    config.tokenStore = {
+      load: async () => {
+        const {
+          restToken: _restToken,
+          restTokenExpiresAt: _restTokenExpiresAt,
+          accessToken: _accessToken,
+          accessTokenExpiresAt: _accessTokenExpiresAt,
+          ...rest
+        } = (await store.load()) ?? {};
+        return rest;
+      },
+      save: (tokens) => store.save(tokens)
+    };
+  }
+  const result = await loginToBullhorn({ credentials, tokens: { refreshToken } }, config);
+  if (result.method !== "refresh") {
+    throw new Error(`Expected a refresh but the session came from the ${result.method} path`);
+  }
+  return { output: formatTokens(result, options.format) };
+}
+
+async function ping(env, options) {
+  const config = authConfig(env, options);
+  const stored = config.tokenStore ? await config.tokenStore.load() : null;
+  const tokens = { ...tokensFromEnv(env), ...stored };
+  if (!tokens.restUrl || !tokens.restToken) {
+    throw new UsageError("ping requires BH_REST_URL and BH_REST_TOKEN");
+  }
+  const rateLimiter = new RateLimiter();
+  const report = { valid: true };
+  try {
+    await pingStep({ restUrl: tokens.restUrl, restToken: tokens.restToken }, { http: { rateLimiter } });
+  } catch (error) {
+    // 401 means the token is no longer accepted; a 429 only says the budget is spent
+    if (!(error instanceof BullhornAuthError) || (error.status !== 401 && error.status !== 429)) throw error;
+    report.valid = error.status !== 401;
+    report.status = error.status;
+    report.error = error.message;
+  }
+  const { limit, remaining } = rateLimiter.getRateLimitStatus();
+  return { output: JSON.stringify({ ...report, limit, remaining }, null, 2), code: report.valid ? 0 : 1 };
+}
+
+async function whoami(env, options) {
+  const session = new BullhornSession(
+    { credentials: credentialsFromEnv(env) ?? undefined, tokens: tokensFromEnv(env) },
+    authConfig(env, options)
+  );
+  const settings = await session.request("GET", "settings/userId,corporationId,corporationName");
+  const identity = {
+    username: env.BH_USERNAME,
+    userId: settings.userId,
+    corporationId: settings.corporationId,
+    corporationName: settings.corporationName,
+    restUrl: session.auth.restUrl,
+    method: session.auth.method
+  };
+  return { output: JSON.stringify(identity, null, 2) };
+}
+
+// Each command resolves to { output, code } where code defaults to 0
+const COMMANDS = { login, refresh, ping, whoami };
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the executable and script
+ * @param {Object} [io] - Environment and output streams
+ * @param {Object} [io.env=process.env] - Environment variables
+ * @param {Object} [io.stdout=process.stdout] - Stream for results
+ * @param {Object} [io.stderr=process.stderr] - Stream for errors and help
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, io = {}) {
+  const env = io.env ?? process.env;
+  const stdout = io.stdout ?? process.stdout;
+  const stderr = io.stderr ?? process.stderr;
+  try {
+    const { command, options } = parseArgs(argv);
+    if (options.help || !command) {
+      (options.help ? stdout : stderr).write(`${USAGE}\n`);
+      return options.help ? 0 : 2;
+    }
+    if (!COMMANDS[command]) {
+      throw new UsageError(`Unknown command: ${command}`);
+    }
+    if (options.envFile) {
+      require("dotenv").config({ path: options.envFile, processEnv: env });
+    }
+    const { output, code = 0 } = await COMMANDS[command](env, options);
+    stdout.write(`${output}\n`);
+    return code;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      stderr.write(`bullhorn-auth: ${error.message}\n\n${USAGE}\n`);
+      return 2;
+    }
+    const detail = error instanceof BullhornAuthError ? ` (${error.name}, step ${error.step}, status ${error.status ?? "n/a"})` : "";
+    stderr.write(`bullhorn-auth: ${error.message}${detail}\n`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { run };
@@ -1,5 +1,5 @@
 require('dotenv').config();
-const { loginToBullhorn, credentialsFromEnv, tokensFromEnv } = require('bullhorn-auth-client');
+const { BullhornSession, credentialsFromEnv, tokensFromEnv } = require('bullhorn-auth-client');
 
 async function main() {
   try {
@@ -8,18 +8,17 @@ async function main() {
     const tokens = tokensFromEnv();
     
     // Authenticate with Bullhorn
-    const auth = await loginToBullhorn({ credentials, tokens });
+    const session = new BullhornSession({ credentials, tokens });
+    const auth = await session.getAuth();
     
     console.log('✅ Authentication successful!');
     console.log(`   REST URL: ${auth.restUrl}`);
     console.log(`   Method: ${auth.method}`);
     
     // Example API call: fetch candidates
-    const fetch = (await import('node-fetch')).default;
-    const url = `${auth.restUrl}search/Candidate?query=id:[* TO *]&fields=id,firstName,lastName,email&count=3&BhRestToken=${auth.restToken}`;
-    
-    const response = await fetch(url);
-    const data = await response.json();
+    const data = await session.request('GET', 'search/Candidate', {
+      query: { query: 'id:[* TO *]', fields: 'id,firstName,lastName,email', count: 3 }
+    });
     
     console.log(`\n📊 Found ${data.total} candidates, showing first ${data.count}:`);
     data.data.forEach(c => 
@@ -32,4 +31,4 @@ async function main() {
   }
 }
 
-main();
\ No newline at end of file
+main();
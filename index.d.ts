@@ -1,3 +1,5 @@
+import { EventEmitter } from "events";
+
 export interface BullhornCredentials {
   clientId: string;
   clientSecret: string;
@@ -5,40 +7,633 @@ export interface BullhornCredentials {
   password: string; // plain text; will be URI-encoded internally
 }
 
-export interface TokenInput {
+// Called whenever the existing session cannot be reused; may return partial credentials
+export type CredentialsProvider = (context: { signal?: AbortSignal }) =>
+  | Partial<BullhornCredentials>
+  | null
+  | undefined
+  | Promise<Partial<BullhornCredentials> | null | undefined>;
+
+export interface CredentialsProviderOptions {
+  env?: NodeJS.ProcessEnv; // default process.env
+  prefix?: string; // default "BH_"
+}
+
+// Epoch milliseconds; set by loginToBullhorn and kept by token stores
+export interface TokenMetadata {
+  issuedAt?: number;
+  accessTokenExpiresAt?: number; // from expires_in of the token response
+  restTokenExpiresAt?: number; // issuedAt + ttlDays; an estimate, Bullhorn can end the session earlier
+  verifiedAt?: number; // when Bullhorn last confirmed the REST token (login or ping)
+  userId?: number; // when the REST login response includes it
+  corporationId?: number;
+}
+
+export interface TokenInput extends TokenMetadata {
   restUrl?: string;
   restToken?: string;
   refreshToken?: string;
   accessToken?: string; // optional; if provided and valid we can skip to step3
 }
 
+export interface StoredTokens extends TokenMetadata {
+  restUrl?: string;
+  restToken?: string;
+  refreshToken?: string;
+  accessToken?: string;
+}
+
+export interface TokenStore {
+  load(): Promise<StoredTokens | null>;
+  save(tokens: StoredTokens): Promise<void>;
+  clear?(): Promise<void>;
+}
+
+// One entry per loginToBullhorn call; never contains tokens, passwords or client secrets
+export interface AuditEntry {
+  timestamp: string; // ISO 8601
+  event: "login";
+  outcome: "success" | "failure";
+  method: LoginMethod | null; // on failure, the last path tried (null when none was)
+  username?: string;
+  clientId?: string;
+  userId?: number;
+  corporationId?: number;
+  durationMs: number;
+  host?: string; // os.hostname(); location.hostname in browsers
+  pid?: number;
+  step?: string; // failures only
+  reason?: string;
+  status?: number;
+  errorName?: string;
+  error?: string; // redacted message
+}
+
+export interface AuditSink {
+  write(entry: AuditEntry): void | Promise<void>;
+}
+
+export interface LockProvider {
+  acquire(key: string, options?: { signal?: AbortSignal }): Promise<() => void | Promise<void>>;
+}
+
+export interface RetryAttemptInfo {
+  attempt: number;
+  step: string;
+  status?: number;
+  error: string;
+  delayMs: number; // how long the client waits before this attempt
+}
+
+export type LoginMethod = "existing" | "refresh" | "full" | "access" | "interactive";
+
+interface AuthEventBase {
+  event: string;
+  timestamp: number; // epoch ms
+}
+
+export interface StepStartEvent extends AuthEventBase {
+  event: "step:start";
+  step: string;
+  method: LoginMethod | null; // null for session.request calls
+}
+
+export interface StepEndEvent extends AuthEventBase {
+  event: "step:end";
+  step: string;
+  method: LoginMethod | null;
+  ok: boolean;
+  status?: number;
+  durationMs: number;
+  raw?: { status: number; statusText: string; headers: Record<string, string | null> };
+  error?: string;
+  errorName?: string;
+}
+
+export interface RetryEvent extends AuthEventBase {
+  event: "retry";
+  step: string;
+  attempt: number;
+  status?: number;
+  error: string;
+  delayMs: number;
+}
+
+export interface FallbackEvent extends AuthEventBase {
+  event: "fallback";
+  from: "existing" | "refresh" | "access";
+  reason?: string;
+  step?: string;
+  status?: number;
+  errorName?: string;
+}
+
+export interface LoginSuccessEvent extends AuthEventBase {
+  event: "login:success";
+  method: LoginMethod;
+  durationMs: number;
+}
+
+export interface LoginFailureEvent extends AuthEventBase {
+  event: "login:failure";
+  error: string;
+  errorName: string;
+  step?: string;
+  reason?: string;
+  status?: number;
+  durationMs: number;
+}
+
+export interface AuditErrorEvent extends AuthEventBase {
+  event: "audit:error";
+  error: string;
+  errorName: string;
+}
+
+export interface AuthEventMap {
+  "step:start": StepStartEvent;
+  "step:end": StepEndEvent;
+  "retry": RetryEvent;
+  "fallback": FallbackEvent;
+  "login:success": LoginSuccessEvent;
+  "login:failure": LoginFailureEvent;
+  "audit:error": AuditErrorEvent;
+}
+
+export interface AuthLogger {
+  debug?(message: string, data: unknown): void;
+  info?(message: string, data: unknown): void;
+  warn?(message: string, data: unknown): void;
+  error?(message: string, data: unknown): void;
+  log?(message: string, data: unknown): void;
+}
+
+export interface CachedLoginInfo {
+  oauthUrl: string;
+  restUrl: string;
+  expiresAt: number; // epoch ms
+}
+
+// A plain Map works; share one between logins (or sessions) to skip repeated discovery
+export interface LoginInfoCache {
+  get(key: string): CachedLoginInfo | undefined;
+  set(key: string, value: CachedLoginInfo): unknown;
+  delete(key: string): unknown;
+}
+
+export interface EndpointConfig {
+  loginInfoUrl?: string; // default "https://rest.bullhornstaffing.com/rest-services/loginInfo"
+  oauthUrl?: string; // with restUrl, skips loginInfo entirely
+  restUrl?: string; // with oauthUrl, skips loginInfo entirely
+  loginInfoCache?: LoginInfoCache | false; // e.g. new Map(); each BullhornSession has its own unless false
+  loginInfoCacheTtlMs?: number; // default 86400000 (24 hours)
+}
+
+export interface InteractiveConfig {
+  redirectUri: string; // registered for the OAuth client
+  onAuthorizeUrl?: (authorizeUrl: string) => unknown; // open a browser or print the URL; required with the local callback server
+  getCallbackUrl?: (authorizeUrl: string, options: { signal: AbortSignal }) => Promise<string>; // replaces the local callback server
+  pkce?: boolean; // default true (S256)
+  timeoutMs?: number; // default 300000 (5 minutes)
+}
+
 export interface AuthConfig {
   ttlDays?: number; // default 30
   minRemainingThreshold?: number; // used with ping; default 100
+  tokenStore?: TokenStore; // loaded before and saved after every login
+  lock?: LockProvider; // held around the refresh and full-login paths
+  events?: { emit(event: string, payload: unknown): unknown }; // e.g. new EventEmitter()
+  logger?: AuthLogger; // receives every event with secrets redacted
+  audit?: AuditSink | AuditSink[]; // awaited once per login; a failing sink reports audit:error instead of failing the login
+  endpoints?: EndpointConfig;
+  interactive?: InteractiveConfig; // full login through the user's browser; no password needed
+  signal?: AbortSignal; // aborts the login, rejecting with signal.reason
+  deadlineMs?: number; // overall budget across steps, retries and waits; rejects with TimeoutError
   http?: {
     retries?: number; // default 0
     timeoutMs?: number; // default 30000
-    userAgent?: string; // default "bullhorn-auth-client"
-    onRetryAttempt?: (info: { attempt: number; status?: number }) => void;
+    userAgent?: string; // sent as User-Agent; default "bullhorn-auth-client"
+    baseDelayMs?: number; // default 1000, doubled on every attempt
+    maxDelayMs?: number; // default 4000
+    jitter?: "none" | "full" | "equal"; // default "none"
+    retryableStatuses?: number[]; // default 429 and every 5xx
+    noRetrySteps?: string[]; // steps never retried, e.g. ["step1"]
+    retryNonIdempotent?: boolean; // default false: step0/step2 and non-GET REST calls only retry on 429
+    respectRetryAfter?: boolean; // default true
+    maxRetryAfterMs?: number; // default 60000; longer server-requested waits are not retried
+    onRetryAttempt?: (info: RetryAttemptInfo) => void;
+    rateLimiter?: RateLimiter; // tracks (and optionally throttles) the per-minute budget
+    fetch?: typeof fetch; // default globalThis.fetch
+    dispatcher?: object; // undici Agent / ProxyAgent, passed as init.dispatcher
+    headers?: Record<string, string>; // added to every request; per-request headers win
   };
 }
 
-export interface AuthResult {
+interface AuthResultBase extends TokenMetadata {
   restUrl: string;
   restToken: string;
+}
+
+// A new REST session always knows when it was issued and when it expires
+interface NewSessionResult extends AuthResultBase {
+  accessToken: string;
+  issuedAt: number;
+  restTokenExpiresAt: number;
+}
+
+export interface ExistingAuthResult extends AuthResultBase {
+  method: "existing";
+  minRemaining: string; // from the ping, or the rate limiter when the ping was skipped
   refreshToken?: string;
   accessToken?: string;
-  minRemaining?: string;
-  method: "existing" | "refresh" | "full" | "access";
 }
 
+export interface RefreshAuthResult extends NewSessionResult {
+  method: "refresh";
+  refreshToken: string; // rotated; the previous one no longer works
+}
+
+export interface AccessAuthResult extends NewSessionResult {
+  method: "access";
+  refreshToken?: string; // passed through from the input
+}
+
+export interface FullAuthResult extends NewSessionResult {
+  method: "full";
+  refreshToken: string;
+}
+
+export interface InteractiveAuthResult extends NewSessionResult {
+  method: "interactive";
+  refreshToken: string;
+}
+
+// Narrow on `method`
+export type AuthResult =
+  | ExistingAuthResult
+  | RefreshAuthResult
+  | AccessAuthResult
+  | FullAuthResult
+  | InteractiveAuthResult;
+
 export declare function loginToBullhorn(
   params: {
-    credentials?: BullhornCredentials;
+    credentials?: BullhornCredentials | CredentialsProvider;
     tokens?: TokenInput;
   },
   config?: AuthConfig
 ): Promise<AuthResult>;
 
+// Configuration accepted by the low-level step functions
+export type StepConfig = Pick<AuthConfig, "http" | "endpoints" | "events" | "logger" | "signal" | "deadlineMs">;
+
+export interface LoginInfo {
+  oauthUrl: string;
+  restUrl: string;
+}
+
+export interface TokenGrant {
+  accessToken: string;
+  refreshToken: string;
+  expiresIn?: number; // seconds, as sent by Bullhorn
+  accessTokenExpiresAt?: number; // epoch ms
+}
+
+export interface AuthorizationCode {
+  code: string; // single-use
+  redirectUri?: string; // interactive only; pass on to exchangeCode
+  codeVerifier?: string; // interactive with PKCE only; pass on to exchangeCode
+}
+
+export interface RestSession {
+  restUrl: string; // session URL for REST calls
+  restToken: string; // BhRestToken
+  issuedAt: number;
+  restTokenExpiresAt: number;
+  userId?: number;
+  corporationId?: number;
+}
+
+export interface PingResult {
+  minRemaining: string | null; // x-ratelimit-remaining-minute
+}
+
+export declare function getLoginInfo(username: string, config?: StepConfig): Promise<LoginInfo>;
+
+export declare function refreshAccessToken(
+  args: { oauthUrl: string; refreshToken: string; clientId: string; clientSecret: string },
+  config?: StepConfig
+): Promise<TokenGrant>;
+
+export declare function authorize(
+  args: { oauthUrl: string; clientId: string; username: string; password: string },
+  config?: StepConfig
+): Promise<AuthorizationCode>;
+export declare function authorize(
+  args: { oauthUrl: string; clientId: string },
+  config: StepConfig & { interactive: InteractiveConfig }
+): Promise<AuthorizationCode>;
+
+export declare function exchangeCode(
+  args: { oauthUrl: string; clientId: string; clientSecret: string; code: string; redirectUri?: string; codeVerifier?: string },
+  config?: StepConfig
+): Promise<TokenGrant>;
+
+export declare function restLogin(
+  args: { restUrl: string; accessToken: string; ttlDays?: number }, // ttlDays default 30
+  config?: StepConfig
+): Promise<RestSession>;
+
+export declare function ping(args: { restUrl: string; restToken: string }, config?: StepConfig): Promise<PingResult>;
+
+export interface LogoutResult {
+  loggedOut: boolean; // false when the session had already expired (or there was none)
+}
+
+// Ends the session (default: the one in config.tokenStore) and clears config.tokenStore
+export declare function logout(
+  args?: { restUrl?: string; restToken?: string },
+  config?: StepConfig & { tokenStore?: TokenStore }
+): Promise<LogoutResult>;
+
 export declare function credentialsFromEnv(env?: NodeJS.ProcessEnv): BullhornCredentials | null;
 export declare function tokensFromEnv(env?: NodeJS.ProcessEnv): Partial<TokenInput>;
+// BULLHORN_TTL and THRESHOLD_REMAINING_MIN; loginToBullhorn never reads the environment itself
+export declare function configFromEnv(env?: NodeJS.ProcessEnv): Pick<AuthConfig, 'ttlDays' | 'minRemainingThreshold'>;
+
+export declare function envCredentials(options?: CredentialsProviderOptions): CredentialsProvider; // BH_CLIENT_ID, ...
+export declare function secretFileCredentials(options?: CredentialsProviderOptions): CredentialsProvider; // BH_CLIENT_ID_FILE, ...
+export declare function fileCredentials(
+  filePath: string, // JSON ({ clientId, ... } or BH_* keys) or dotenv
+  options?: { prefix?: string; optional?: boolean }
+): CredentialsProvider;
+export declare function credentialsChain(
+  ...sources: Array<CredentialsProvider | Partial<BullhornCredentials>>
+): CredentialsProvider;
+
+export interface SessionConfig extends AuthConfig {
+  renewBeforeMs?: number; // default 300000 (5 minutes)
+}
+
+export interface RestRequestOptions {
+  query?: Record<string, string | number | boolean | Array<string | number> | null | undefined>;
+  body?: unknown; // JSON-serialized
+}
+
+export interface KeepAliveOptions {
+  intervalMs?: number; // default 60000, measured from the end of the previous check
+  minRemainingThreshold?: number; // log in again at or below this quota; default config.minRemainingThreshold or 100
+}
+
+export interface KeepAliveHealth {
+  running: boolean;
+  status: "starting" | "ok" | "failing" | "stopped";
+  lastCheckAt: number | null; // epoch ms
+  lastPingAt: number | null;
+  lastPingStatus: number | null; // HTTP status of the last ping
+  remaining: number | null; // per-minute quota left
+  lastLoginAt: number | null; // last time the monitor (re)created the session
+  consecutiveFailures: number;
+  lastError: string | null; // redacted
+  expiresAt: number | null; // session.expiresAt
+}
+
+export interface KeepAliveMonitor {
+  readonly intervalMs: number;
+  readonly minRemainingThreshold: number;
+  health(): KeepAliveHealth;
+  stop(): Promise<void>; // cancels the ping in flight; resolves when the current check has finished
+}
+
+export declare class BullhornSession extends EventEmitter {
+  constructor(
+    params: {
+      credentials?: BullhornCredentials | CredentialsProvider;
+      tokens?: TokenInput;
+    },
+    config?: SessionConfig
+  );
+  readonly auth: AuthResult | null;
+  readonly expiresAt: number | null;
+  getAuth(): Promise<AuthResult>;
+  refresh(): Promise<AuthResult>;
+  invalidate(restToken?: string): void;
+  logout(): Promise<LogoutResult>; // also discards the refresh token and clears the token store
+  startKeepAlive(options?: KeepAliveOptions): KeepAliveMonitor; // throws when one is already running
+  readonly keepAlive: KeepAliveMonitor | null;
+  readonly rateLimiter: RateLimiter;
+  on<K extends keyof AuthEventMap>(event: K, listener: (payload: AuthEventMap[K]) => void): this;
+  once<K extends keyof AuthEventMap>(event: K, listener: (payload: AuthEventMap[K]) => void): this;
+  off<K extends keyof AuthEventMap>(event: K, listener: (payload: AuthEventMap[K]) => void): this;
+  getRateLimitStatus(): RateLimitStatus;
+  request<T = any>(method: string, path: string, options?: RestRequestOptions): Promise<T>;
+}
+
+export interface TenantDefinition {
+  credentials?: BullhornCredentials | CredentialsProvider;
+  tokens?: TokenInput;
+  config?: SessionConfig; // overrides ClientManagerOptions.defaults
+}
+
+export interface ClientManagerOptions {
+  tenants?: Record<string, TenantDefinition>;
+  resolveTenant?: (tenantId: string) => Promise<TenantDefinition | null | undefined> | TenantDefinition | null | undefined;
+  defaults?: Omit<SessionConfig, "tokenStore">; // must not include http.rateLimiter
+  tokenStoreFactory?: (tenantId: string) => TokenStore;
+  rateLimiter?: RateLimiterOptions; // options for each tenant's own limiter
+  idleTimeoutMs?: number; // default 1800000 (30 minutes); 0 disables eviction
+}
+
+export declare class BullhornClientManager {
+  constructor(options?: ClientManagerOptions);
+  static fromEnv(env?: NodeJS.ProcessEnv, options?: ClientManagerOptions): BullhornClientManager; // BH_<TENANT>_CLIENT_ID, ...
+  static fromFile(filePath: string, options?: ClientManagerOptions): Promise<BullhornClientManager>;
+  readonly idleTimeoutMs: number;
+  addTenant(tenantId: string, tenant: TenantDefinition): void;
+  tenantIds(): string[];
+  getSession(tenantId: string): Promise<BullhornSession>;
+  getAuth(tenantId: string): Promise<AuthResult>;
+  request<T = any>(tenantId: string, method: string, path: string, options?: RestRequestOptions): Promise<T>;
+  getRateLimitStatus(tenantId: string): RateLimitStatus | null;
+  evict(tenantId: string): boolean;
+  logout(tenantId: string): Promise<LogoutResult>;
+  evictIdle(): string[];
+  close(): Promise<void>; // resolves once every keep-alive has stopped
+}
+
+export declare class MemoryTokenStore implements TokenStore {
+  constructor(initial?: StoredTokens);
+  load(): Promise<StoredTokens | null>;
+  save(tokens: StoredTokens): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export declare class FileTokenStore implements TokenStore {
+  constructor(filePath: string, options?: { mode?: number }); // default mode 0o600
+  readonly filePath: string;
+  readonly mode: number;
+  load(): Promise<StoredTokens | null>;
+  save(tokens: StoredTokens): Promise<void>;
+  clear(): Promise<void>;
+  serialize(tokens: StoredTokens): string;
+  deserialize(contents: string): StoredTokens;
+}
+
+export interface EncryptedFileTokenStoreOptions {
+  key?: Buffer | string; // 32 bytes; hex or base64 when a string
+  keyEnv?: string; // default "BH_TOKEN_KEY"
+  previousKeys?: Array<Buffer | string>; // default from `${keyEnv}_PREVIOUS` (comma-separated)
+  env?: NodeJS.ProcessEnv;
+  mode?: number; // default 0o600
+}
+
+export declare class EncryptedFileTokenStore extends FileTokenStore {
+  constructor(filePath: string, options?: EncryptedFileTokenStoreOptions);
+  rotate(): Promise<boolean>;
+}
+
+export type BullhornAuthStep = "loginInfo" | "step0" | "step1" | "step2" | "step3" | "ping" | "logout" | "request";
+
+// Why step1 (authorize) failed
+export type AuthorizeFailureReason =
+  | "invalid_credentials" // login page re-rendered with an "invalid" message
+  | "account_locked"
+  | "terms_not_accepted"
+  | "login_page" // login page without a recognizable message
+  | "unexpected_status" // non-2xx without a redirect
+  | "redirect_error" // redirect carried error/error_description
+  | "missing_code"
+  | "state_mismatch"; // interactive login only
+
+export interface BullhornAuthErrorDetails {
+  step?: BullhornAuthStep;
+  status?: number;
+  body?: unknown;
+  reason?: AuthorizeFailureReason | string;
+  response?: Response;
+  cause?: unknown;
+}
+
+export declare class BullhornAuthError extends Error {
+  constructor(message: string, details?: BullhornAuthErrorDetails);
+  step?: BullhornAuthStep;
+  status?: number;
+  body?: unknown; // parsed Bullhorn error body (JSON or text)
+  reason?: AuthorizeFailureReason | string; // set when the cause is known
+  response?: Response;
+}
+
+export declare class InvalidCredentialsError extends BullhornAuthError {}
+export declare class RefreshTokenExpiredError extends BullhornAuthError {}
+export declare class RateLimitedError extends BullhornAuthError {
+  retryAfterMs?: number; // from Retry-After / x-ratelimit-* headers
+}
+export declare class LoginInfoError extends BullhornAuthError {}
+export declare class TimeoutError extends BullhornAuthError {}
+
+export interface FileLockOptions {
+  dir?: string; // default os.tmpdir()
+  staleMs?: number; // default 120000
+  retryMs?: number; // default 100
+  timeoutMs?: number; // default 120000
+}
+
+export declare class FileLock implements LockProvider {
+  constructor(options?: FileLockOptions);
+  readonly dir: string;
+  readonly staleMs: number;
+  readonly retryMs: number;
+  readonly timeoutMs: number;
+  acquire(key: string, options?: { signal?: AbortSignal }): Promise<() => Promise<void>>;
+}
+
+export declare class JsonLinesAuditSink implements AuditSink {
+  constructor(filePath: string, options?: { mode?: number }); // mode default 0o600
+  readonly filePath: string;
+  write(entry: AuditEntry): Promise<void>;
+}
+
+export interface FullLoginRateAlertInfo {
+  count: number; // full logins within the window, including this one
+  max: number;
+  windowMs: number;
+  entry: AuditEntry;
+}
+
+export declare class FullLoginRateAlert implements AuditSink {
+  constructor(options: { max: number; windowMs?: number; onAlert: (alert: FullLoginRateAlertInfo) => unknown }); // windowMs default 3600000
+  readonly max: number;
+  readonly windowMs: number;
+  readonly count: number;
+  write(entry: AuditEntry): Promise<void>;
+}
+
+export interface RateLimitStatus {
+  limit: number | null; // x-ratelimit-limit-minute
+  remaining: number | null; // last reported remaining, minus requests sent since
+  resetAt: number | null; // epoch ms at which the current window is assumed to reset
+  updatedAt: number | null; // epoch ms of the last response carrying rate-limit headers
+  queued: number; // requests currently held back by throttling
+}
+
+export interface RateLimiterOptions {
+  throttle?: boolean; // default false
+  reserve?: number; // default 0
+  windowMs?: number; // default 60000
+}
+
+export declare class RateLimiter {
+  constructor(options?: RateLimiterOptions);
+  readonly throttle: boolean;
+  readonly reserve: number;
+  readonly windowMs: number;
+  acquire(signal?: AbortSignal): Promise<void>;
+  update(response: Response): void;
+  getRateLimitStatus(): RateLimitStatus;
+}
+
+export declare function redact<T>(value: T): T;
+
+export type MockEndpoint = "loginInfo" | "authorize" | "token" | "login" | "ping" | "logout";
+
+export interface MockFailure {
+  status?: number; // omitted: only delay, then answer normally
+  body?: unknown; // default { errorMessage: "Mock failure" }
+  headers?: Record<string, string>;
+  delayMs?: number;
+  drop?: boolean; // destroy the connection instead of responding
+  times?: number; // default 1
+}
+
+export interface MockBullhornServerOptions {
+  credentials?: Partial<BullhornCredentials>;
+  accessTokenTtlMs?: number; // default 600000
+  refreshTokenTtlMs?: number; // default: no expiry
+  restTokenTtlMs?: number; // default 600000
+  rateLimit?: number; // requests per minute, default 1500
+  corporation?: string; // REST session path segment, default "mock"
+}
+
+export interface MockRequest {
+  method: string;
+  path: string;
+  endpoint: MockEndpoint | null;
+  params: Record<string, string>; // query and form parameters
+  headers: Record<string, string | string[] | undefined>;
+}
+
+export interface MockBullhornServer {
+  readonly credentials: BullhornCredentials;
+  readonly url: string | null; // set by listen()
+  readonly loginInfoUrl: string; // pass as config.endpoints.loginInfoUrl
+  readonly oauthUrl: string;
+  readonly restUrl: string;
+  readonly requests: MockRequest[];
+  listen(port?: number): Promise<string>;
+  close(): Promise<void>;
+  fail(endpoint: MockEndpoint, failure?: MockFailure): this;
+  expire(kind: "access" | "refresh" | "rest" | "code"): this;
+  setRateLimit(rate?: { limit?: number; remaining?: number }): this;
+}
+
+export declare function createMockBullhornServer(options?: MockBullhornServerOptions): MockBullhornServer;
@@ -1,6 +1,90 @@
 /* global process, fetch */
-const url = require("url");
-const qs = require("querystring");
+// The core only needs fetch, URL and Web Crypto. Node built-ins are required where they are used
+// (file stores, file lock, file providers, audit file sink, local callback server) so the module
+// also loads on edge runtimes and in browser bundles.
+const EventEmitter = loadEventEmitter();
+
+const JITTER_STRATEGIES = ["none", "full", "equal"];
+
+// Requests that must not be replayed once Bullhorn may have processed them: the
+// refresh token and the authorization code are both single-use.
+const NON_IDEMPOTENT_STEPS = ["step0", "step2"];
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Node's EventEmitter, or a minimal stand-in where the events module is unavailable
+ * @private
+ * @returns {Function} EventEmitter class
+ */
+function loadEventEmitter() {
+  try {
+    const events = require("events");
+    if (events?.EventEmitter) return events.EventEmitter;
+  } catch {
+    // not Node and no events polyfill: fall through to the stand-in
+  }
+  return class EventEmitter {
+    constructor() {
+      this._listeners = new Map();
+    }
+
+    on(event, listener) {
+      this._listeners.set(event, [...(this._listeners.get(event) ?? []), listener]);
+      return this;
+    }
+
+    once(event, listener) {
+      const wrapper = (...args) => {
+        this.off(event, wrapper);
+        listener.apply(this, args);
+      };
+      wrapper.listener = listener;
+      return this.on(event, wrapper);
+    }
+
+    off(event, listener) {
+      const listeners = this._listeners.get(event) ?? [];
+      const index = listeners.findIndex((l) => l === listener || l.listener === listener);
+      if (index !== -1) {
+        this._listeners.set(event, listeners.filter((_, i) => i !== index));
+      }
+      return this;
+    }
+
+    removeListener(event, listener) {
+      return this.off(event, listener);
+    }
+
+    emit(event, ...args) {
+      const listeners = this._listeners.get(event) ?? [];
+      if (event === "error" && listeners.length === 0) {
+        throw args[0] instanceof Error ? args[0] : new Error(`Unhandled error event: ${args[0]}`);
+      }
+      listeners.forEach((listener) => listener.apply(this, args));
+      return listeners.length > 0;
+    }
+
+    listenerCount(event) {
+      return (this._listeners.get(event) ?? []).length;
+    }
+  };
+}
+
+const DEFAULT_LOGIN_INFO_URL = "https://rest.bullhornstaffing.com/rest-services/loginInfo";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A REST token this close to its expiry is pinged rather than trusted
+const EXPIRY_MARGIN_MS = 60000;
+// restTokenExpiresAt is only our estimate and Bullhorn can end a session early (logout, idle
+// timeout), so a token is only trusted without a ping this long after it was last confirmed
+const VERIFIED_TRUST_MS = 60000;
+
+// What a login page served by authorize (instead of a redirect) is telling us, checked in order
+const LOGIN_PAGE_DIAGNOSES = [
+  ["account_locked", /\b(locked|disabled|deactivated|inactive)\b/i],
+  ["terms_not_accepted", /terms of (service|use)|accept (the )?terms|license agreement/i],
+  ["invalid_credentials", /invalid|incorrect|wrong|not recogni[sz]ed|bad credentials/i]
+];
 
 /**
  * Create HTTP options with defaults and validation
@@ -8,7 +92,19 @@ const qs = require("querystring");
  * @param {number} [httpCfg.timeoutMs=30000] - Request timeout in milliseconds
  * @param {string} [httpCfg.userAgent="bullhorn-auth-client"] - User agent string
  * @param {number} [httpCfg.retries=0] - Number of retry attempts
+ * @param {number} [httpCfg.baseDelayMs=1000] - First backoff delay, doubled on every attempt
+ * @param {number} [httpCfg.maxDelayMs=4000] - Upper bound for computed backoff delays
+ * @param {string} [httpCfg.jitter="none"] - Jitter strategy: "none", "full" or "equal"
+ * @param {number[]} [httpCfg.retryableStatuses] - Statuses to retry (default 429 and every 5xx)
+ * @param {string[]} [httpCfg.noRetrySteps=[]] - Steps that are never retried
+ * @param {boolean} [httpCfg.retryNonIdempotent=false] - Also retry step0/step2 and non-GET REST calls after failures Bullhorn may have processed
+ * @param {boolean} [httpCfg.respectRetryAfter=true] - Wait as long as Retry-After / x-ratelimit-* headers ask
+ * @param {number} [httpCfg.maxRetryAfterMs=60000] - Give up instead of waiting longer than this for a server-requested delay
  * @param {Function} [httpCfg.onRetryAttempt] - Callback function for retry attempts
+ * @param {RateLimiter} [httpCfg.rateLimiter] - Tracks (and optionally throttles) the per-minute budget
+ * @param {Function} [httpCfg.fetch] - fetch implementation to use instead of the global one
+ * @param {Object} [httpCfg.dispatcher] - undici dispatcher (Agent, ProxyAgent, ...) passed to every request
+ * @param {Object} [httpCfg.headers] - Headers added to every request; per-request headers win
  * @returns {Object} Validated HTTP options
  */
 function createHttpOptions(httpCfg = {}) {
@@ -21,55 +117,763 @@ function createHttpOptions(httpCfg = {}) {
   if (retries < 0) {
     throw new Error("retries must be a non-negative number");
   }
+
+  const baseDelayMs = httpCfg.baseDelayMs ?? 1000;
+  const maxDelayMs = httpCfg.maxDelayMs ?? 4000;
+  const maxRetryAfterMs = httpCfg.maxRetryAfterMs ?? 60000;
+  [["baseDelayMs", baseDelayMs], ["maxDelayMs", maxDelayMs], ["maxRetryAfterMs", maxRetryAfterMs]].forEach(([name, value]) => {
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`${name} must be a non-negative number`);
+    }
+  });
+
+  const jitter = httpCfg.jitter ?? "none";
+  if (!JITTER_STRATEGIES.includes(jitter)) {
+    throw new Error(`jitter must be one of: ${JITTER_STRATEGIES.join(", ")}`);
+  }
+
+  const retryableStatuses = httpCfg.retryableStatuses ?? null;
+  if (retryableStatuses !== null && (!Array.isArray(retryableStatuses) || !retryableStatuses.every(Number.isInteger))) {
+    throw new Error("retryableStatuses must be an array of status codes");
+  }
+
+  const rateLimiter = httpCfg.rateLimiter ?? null;
+  if (rateLimiter && (typeof rateLimiter.acquire !== "function" || typeof rateLimiter.update !== "function")) {
+    throw new Error("rateLimiter must implement acquire() and update(response)");
+  }
+
+  const fetchImpl = httpCfg.fetch ?? null;
+  if (fetchImpl !== null && typeof fetchImpl !== "function") {
+    throw new Error("fetch must be a function");
+  }
+
+  const dispatcher = httpCfg.dispatcher ?? null;
+  if (dispatcher !== null && typeof dispatcher !== "object") {
+    throw new Error("dispatcher must be an undici Dispatcher");
+  }
+
+  const headers = httpCfg.headers ?? {};
+  if (typeof headers !== "object" || Array.isArray(headers) || !Object.values(headers).every((v) => typeof v === "string")) {
+    throw new Error("headers must be an object of string values");
+  }
+
+  const noRetrySteps = httpCfg.noRetrySteps ?? [];
+  if (!Array.isArray(noRetrySteps)) {
+    throw new Error("noRetrySteps must be an array of step names");
+  }
   
   return {
     timeoutMs,
     userAgent: httpCfg.userAgent || "bullhorn-auth-client",
     retries,
-    onRetryAttempt: typeof httpCfg.onRetryAttempt === "function" ? httpCfg.onRetryAttempt : null
+    baseDelayMs,
+    maxDelayMs,
+    jitter,
+    retryableStatuses,
+    noRetrySteps,
+    retryNonIdempotent: httpCfg.retryNonIdempotent === true,
+    respectRetryAfter: httpCfg.respectRetryAfter !== false,
+    maxRetryAfterMs,
+    onRetryAttempt: typeof httpCfg.onRetryAttempt === "function" ? httpCfg.onRetryAttempt : null,
+    rateLimiter,
+    fetch: fetchImpl,
+    dispatcher,
+    headers
+  };
+}
+
+/**
+ * Check that an endpoint option is an absolute http(s) URL
+ * @private
+ * @param {string} name - Option name used in the error message
+ * @param {*} value - Option value
+ * @returns {string|null} The URL, or null when not set
+ */
+function endpointUrl(name, value) {
+  if (value === undefined || value === null) return null;
+  let parsed = null;
+  try {
+    parsed = typeof value === "string" ? new URL(value) : null;
+  } catch {
+    parsed = null;
+  }
+  if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+    throw new Error(`${name} must be an absolute http(s) URL`);
+  }
+  return value;
+}
+
+/**
+ * Create interactive (browser) login options with defaults and validation
+ * @param {Object} interactiveCfg - Interactive login configuration
+ * @param {string} interactiveCfg.redirectUri - Redirect URI registered for the OAuth client
+ * @param {Function} [interactiveCfg.onAuthorizeUrl] - Opens (or shows) the authorize URL; required with the local callback server
+ * @param {Function} [interactiveCfg.getCallbackUrl] - async (authorizeUrl, { signal }) => URL the browser was redirected to; replaces the local server
+ * @param {boolean} [interactiveCfg.pkce=true] - Send a PKCE (S256) code challenge
+ * @param {number} [interactiveCfg.timeoutMs=300000] - How long to wait for the callback
+ * @returns {Object} Validated interactive options
+ */
+function createInteractiveOptions(interactiveCfg) {
+  endpointUrl("redirectUri", interactiveCfg.redirectUri ?? "");
+  const getCallbackUrl = interactiveCfg.getCallbackUrl ?? null;
+  if (getCallbackUrl !== null && typeof getCallbackUrl !== "function") {
+    throw new Error("getCallbackUrl must be a function");
+  }
+  const onAuthorizeUrl = interactiveCfg.onAuthorizeUrl ?? null;
+  if (onAuthorizeUrl !== null && typeof onAuthorizeUrl !== "function") {
+    throw new Error("onAuthorizeUrl must be a function");
+  }
+  if (!getCallbackUrl) {
+    const redirect = new URL(interactiveCfg.redirectUri);
+    if (redirect.protocol !== "http:" || !["localhost", "127.0.0.1", "[::1]"].includes(redirect.hostname) || !redirect.port) {
+      throw new Error("redirectUri must be http://localhost:<port>/... (or 127.0.0.1/[::1]) to use the local callback server; pass getCallbackUrl otherwise");
+    }
+    if (!onAuthorizeUrl) {
+      throw new Error("onAuthorizeUrl is required to send the user to the authorize page");
+    }
+  }
+  const timeoutMs = interactiveCfg.timeoutMs ?? 300000;
+  if (!Number.isFinite(timeoutMs) || timeoutMs <= 0) {
+    throw new Error("interactive timeoutMs must be a positive number");
+  }
+  return {
+    redirectUri: interactiveCfg.redirectUri,
+    onAuthorizeUrl,
+    getCallbackUrl,
+    pkce: interactiveCfg.pkce !== false,
+    timeoutMs
+  };
+}
+
+/**
+ * Create endpoint options with defaults and validation
+ * @param {Object} endpointsCfg - Endpoint configuration options
+ * @param {string} [endpointsCfg.loginInfoUrl] - loginInfo endpoint (default Bullhorn's global one)
+ * @param {string} [endpointsCfg.oauthUrl] - OAuth base URL; skips discovery together with restUrl
+ * @param {string} [endpointsCfg.restUrl] - REST login base URL; skips discovery together with oauthUrl
+ * @param {Map|Object|false} [endpointsCfg.loginInfoCache] - Map-like (get/set/delete) shared loginInfo cache, keyed by username; false disables a session's default cache
+ * @param {number} [endpointsCfg.loginInfoCacheTtlMs=86400000] - How long a cached loginInfo result is used
+ * @returns {Object} Validated endpoint options
+ */
+function createEndpointOptions(endpointsCfg = {}) {
+  const loginInfoCache = endpointsCfg.loginInfoCache || null;
+  if (loginInfoCache && ["get", "set", "delete"].some((m) => typeof loginInfoCache[m] !== "function")) {
+    throw new Error("loginInfoCache must implement get(), set() and delete()");
+  }
+
+  const loginInfoCacheTtlMs = endpointsCfg.loginInfoCacheTtlMs ?? 86400000;
+  if (!Number.isFinite(loginInfoCacheTtlMs) || loginInfoCacheTtlMs < 0) {
+    throw new Error("loginInfoCacheTtlMs must be a non-negative number");
+  }
+
+  return {
+    loginInfoUrl: endpointUrl("loginInfoUrl", endpointsCfg.loginInfoUrl) ?? DEFAULT_LOGIN_INFO_URL,
+    oauthUrl: endpointUrl("oauthUrl", endpointsCfg.oauthUrl),
+    restUrl: endpointUrl("restUrl", endpointsCfg.restUrl),
+    loginInfoCache,
+    loginInfoCacheTtlMs
+  };
+}
+
+const REDACTED = "[REDACTED]";
+const SECRET_KEY_PATTERN = /^(password|clientSecret|client_secret|refreshToken|refresh_token|accessToken|access_token|restToken|BhRestToken|code|tmpAuthCode|codeVerifier|code_verifier|authorization)$/i;
+const SECRET_PARAM_PATTERN = /\b(password|client_secret|refresh_token|access_token|BhRestToken|code|code_verifier)=[^&\s"']*/gi;
+
+/**
+ * Deep-copy a value with secrets replaced by "[REDACTED]": values under secret-looking
+ * keys, and secret query/form parameters inside strings. Every error message, error
+ * body, log payload and retry callback produced by this module goes through it.
+ * @param {*} value - Value to redact
+ * @returns {*} Redacted copy
+ */
+function redact(value) {
+  if (typeof value === "string") {
+    return value.replace(SECRET_PARAM_PATTERN, (_match, name) => `${name}=${REDACTED}`);
+  }
+  if (Array.isArray(value)) return value.map(redact);
+  if (value instanceof Error) {
+    return { name: value.name, message: redact(value.message), step: value.step, status: value.status };
+  }
+  if (value && typeof value === "object") {
+    const copy = {};
+    Object.entries(value).forEach(([k, v]) => {
+      copy[k] = SECRET_KEY_PATTERN.test(k) && v !== undefined && v !== null ? REDACTED : redact(v);
+    });
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Encode parameters as an application/x-www-form-urlencoded request body
+ * @private
+ * @param {Object} params - Parameters; undefined values are skipped
+ * @returns {Object} fetch init fields: body and headers
+ */
+function formRequest(params) {
+  const body = new URLSearchParams();
+  Object.entries(params).forEach(([k, v]) => {
+    if (v !== undefined && v !== null) body.set(k, String(v));
+  });
+  return { body: body.toString(), headers: { "Content-Type": "application/x-www-form-urlencoded" } };
+}
+
+/**
+ * Base class for every error raised while talking to Bullhorn.
+ * Carries the failing step, the HTTP status and the parsed Bullhorn error body when there is one.
+ */
+class BullhornAuthError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {string} [details.step] - Failing step: loginInfo, step0-step3, ping or request
+   * @param {number} [details.status] - HTTP status code
+   * @param {*} [details.body] - Parsed Bullhorn error body
+   * @param {string} [details.reason] - Machine-readable cause when it is known, e.g. account_locked
+   * @param {Response} [details.response] - Raw response
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(redact(message), details.cause ? { cause: details.cause } : undefined);
+    this.name = "BullhornAuthError";
+    this.step = details.step;
+    this.status = details.status;
+    this.body = redact(details.body);
+    this.reason = details.reason;
+    // Not enumerable: response.url can carry the step1 credentials, keep it out of serialized errors
+    Object.defineProperty(this, "response", { value: details.response, writable: true, configurable: true });
+  }
+}
+
+/** Username, password or client credentials were rejected */
+class InvalidCredentialsError extends BullhornAuthError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "InvalidCredentialsError";
+  }
+}
+
+/** The refresh token is expired, revoked or was already rotated */
+class RefreshTokenExpiredError extends BullhornAuthError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "RefreshTokenExpiredError";
+  }
+}
+
+/** Bullhorn answered 429 Too Many Requests */
+class RateLimitedError extends BullhornAuthError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "RateLimitedError";
+  }
+}
+
+/** loginInfo did not return usable oauthUrl/restUrl for the username */
+class LoginInfoError extends BullhornAuthError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "LoginInfoError";
+  }
+}
+
+/** A request did not complete within timeoutMs */
+class TimeoutError extends BullhornAuthError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "TimeoutError";
+  }
+}
+
+/**
+ * Read a response body for error reporting: JSON when possible, otherwise text
+ * @private
+ * @param {Response} res - Response
+ * @returns {Promise<*>} Parsed body or null
+ */
+async function readErrorBody(res) {
+  try {
+    if (typeof res.text !== "function") return await res.json();
+    const text = await res.text();
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text || null;
+    }
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build a BullhornAuthError (or subclass) from a non-successful response
+ * @private
+ * @param {Function} ErrorClass - Error class to instantiate
+ * @param {string} step - Failing step
+ * @param {Response} res - Response
+ * @param {string} [message] - Message; defaults to "<step> failed: HTTP <status>"
+ * @returns {Promise<BullhornAuthError>} Error to throw
+ */
+async function errorFromResponse(ErrorClass, step, res, message) {
+  const body = await readErrorBody(res);
+  const detail = body?.error_description || body?.errorMessage || body?.error;
+  const text = message ?? `${step} failed: HTTP ${res.status}${typeof detail === "string" ? ` (${detail})` : ""}`;
+  return new ErrorClass(text, { step, status: res.status, body, response: res });
+}
+
+/**
+ * Rolling view of Bullhorn's per-minute rate limit, fed from the
+ * x-ratelimit-limit-minute / x-ratelimit-remaining-minute headers of every response.
+ *
+ * Requests sent since the last response are counted locally, so concurrent callers
+ * see an up-to-date budget. With throttle enabled, acquire() holds requests back
+ * until the window resets once no more than `reserve` requests are left.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} [options] - Limiter options
+   * @param {boolean} [options.throttle=false] - Delay requests instead of exceeding the budget
+   * @param {number} [options.reserve=0] - Requests per minute to keep unused
+   * @param {number} [options.windowMs=60000] - Window length assumed when Bullhorn sends no reset header
+   */
+  constructor(options = {}) {
+    const reserve = options.reserve ?? 0;
+    if (!Number.isFinite(reserve) || reserve < 0) {
+      throw new Error("reserve must be a non-negative number");
+    }
+    const windowMs = options.windowMs ?? 60000;
+    if (!Number.isFinite(windowMs) || windowMs <= 0) {
+      throw new Error("windowMs must be a positive number");
+    }
+    this.throttle = options.throttle === true;
+    this.reserve = reserve;
+    this.windowMs = windowMs;
+    this._limit = null;
+    this._remaining = null;
+    this._resetAt = null;
+    this._updatedAt = null;
+    this._queued = 0;
+  }
+
+  /**
+   * Wait until a request may be sent and count it against the budget
+   * @param {AbortSignal} [signal] - Stop waiting when aborted, rejecting with its reason
+   * @returns {Promise<void>}
+   */
+  async acquire(signal) {
+    this._rollWindow();
+    while (this.throttle && this._remaining !== null && this._remaining <= this.reserve) {
+      this._queued += 1;
+      try {
+        await sleep(Math.max(0, this._resetAt - Date.now()), signal);
+      } finally {
+        this._queued -= 1;
+      }
+      this._rollWindow();
+    }
+    if (this._remaining !== null) this._remaining -= 1;
+  }
+
+  /**
+   * Record the rate-limit headers of a response
+   * @param {Response} res - Response
+   */
+  update(res) {
+    const limit = parseInt(res.headers.get("x-ratelimit-limit-minute"), 10);
+    const remaining = parseInt(res.headers.get("x-ratelimit-remaining-minute"), 10);
+    if (!Number.isFinite(remaining)) return;
+    const now = Date.now();
+    const reset = Number(res.headers.get("x-ratelimit-reset"));
+    if (res.headers.get("x-ratelimit-reset") && Number.isFinite(reset)) {
+      this._resetAt = reset > 1e9 ? reset * 1000 : now + reset * 1000;
+    } else if (this._resetAt === null || now >= this._resetAt) {
+      this._resetAt = now + this.windowMs;
+    }
+    if (Number.isFinite(limit)) this._limit = limit;
+    this._remaining = remaining;
+    this._updatedAt = now;
+  }
+
+  /**
+   * Current rate-limit state
+   * @returns {Object} { limit, remaining, resetAt, updatedAt, queued }
+   */
+  getRateLimitStatus() {
+    this._rollWindow();
+    return {
+      limit: this._limit,
+      remaining: this._remaining,
+      resetAt: this._resetAt,
+      updatedAt: this._updatedAt,
+      queued: this._queued
+    };
+  }
+
+  _rollWindow() {
+    if (this._resetAt !== null && Date.now() >= this._resetAt) {
+      this._remaining = this._limit;
+      this._resetAt = this._limit === null ? null : Date.now() + this.windowMs;
+    }
+  }
+}
+
+/**
+ * Wait for ms milliseconds, rejecting with the abort reason as soon as signal aborts
+ * @private
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Combine the caller's signal and an overall deadline into one signal for a login.
+ * The deadline aborts with a TimeoutError; the caller's signal with its own reason.
+ * @private
+ * @param {AbortSignal} [signal] - Caller's abort signal
+ * @param {number} [deadlineMs] - Overall time budget in milliseconds
+ * @param {Function} [deadlineError] - Creates the abort reason once the deadline passes
+ * @returns {Object} { signal, dispose }; signal is null when neither is set
+ */
+function createAbortScope(signal, deadlineMs, deadlineError) {
+  if (!signal && deadlineMs === undefined) {
+    return { signal: null, dispose: () => {} };
+  }
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) {
+    controller.abort(signal.reason);
+  } else {
+    signal?.addEventListener("abort", onAbort, { once: true });
+  }
+  const timer = deadlineMs === undefined ? null : setTimeout(() => {
+    controller.abort(deadlineError?.() ?? new TimeoutError(`login did not finish within deadlineMs (${deadlineMs}ms)`));
+  }, deadlineMs);
+  return {
+    signal: controller.signal,
+    dispose: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+    }
   };
 }
 
-async function doFetch(urlStr, init, httpOpts) {
+/**
+ * Merge header objects left to right; a later header replaces an earlier one
+ * whose name differs only in case
+ * @private
+ * @param {...Object} sources - Header objects, undefined entries are skipped
+ * @returns {Object} Merged headers
+ */
+function mergeHeaders(...sources) {
+  const merged = {};
+  sources.forEach((source) => {
+    Object.entries(source ?? {}).forEach(([name, value]) => {
+      Object.keys(merged)
+        .filter((existing) => existing.toLowerCase() === name.toLowerCase())
+        .forEach((existing) => delete merged[existing]);
+      merged[name] = value;
+    });
+  });
+  return merged;
+}
+
+async function doFetch(urlStr, init, httpOpts, step) {
+  const signal = httpOpts.signal;
+  if (signal?.aborted) throw signal.reason;
+  if (httpOpts.rateLimiter) {
+    await httpOpts.rateLimiter.acquire(signal ?? undefined);
+  }
   const controller = new AbortController();
   const id = setTimeout(() => controller.abort(), httpOpts.timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
   try {
-    const headers = init?.headers;
-    const res = await fetch(urlStr, { ...init, headers, signal: controller.signal });
+    const headers = mergeHeaders({ "User-Agent": httpOpts.userAgent }, httpOpts.headers, init?.headers);
+    const fetchImpl = httpOpts.fetch ?? fetch;
+    const res = await fetchImpl(urlStr, {
+      ...init,
+      headers,
+      signal: controller.signal,
+      ...(httpOpts.dispatcher ? { dispatcher: httpOpts.dispatcher } : {})
+    });
+    if (httpOpts.rateLimiter) {
+      httpOpts.rateLimiter.update(res);
+    }
     return res;
+  } catch (error) {
+    if (signal?.aborted) throw signal.reason;
+    if (controller.signal.aborted) {
+      throw new TimeoutError(`${step} timed out after ${httpOpts.timeoutMs}ms`, { step, cause: error });
+    }
+    throw error;
   } finally {
     clearTimeout(id);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/**
+ * Delay the server asked for via Retry-After or, on 429, the x-ratelimit-* headers
+ * @private
+ * @param {Response} res - Response
+ * @returns {number|null} Delay in milliseconds, or null when the server gave no hint
+ */
+function serverRetryDelayMs(res) {
+  const retryAfter = res.headers.get("retry-after");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(retryAfter);
+    if (Number.isFinite(date)) return Math.max(0, date - Date.now());
   }
+  if (res.status !== 429) return null;
+  const reset = Number(res.headers.get("x-ratelimit-reset"));
+  if (res.headers.get("x-ratelimit-reset") && Number.isFinite(reset)) {
+    // Either seconds until the window resets or an epoch timestamp in seconds
+    return Math.max(0, reset > 1e9 ? reset * 1000 - Date.now() : reset * 1000);
+  }
+  if (res.headers.get("x-ratelimit-remaining-minute") === "0") {
+    return 60000 - (Date.now() % 60000);
+  }
+  return null;
+}
+
+/**
+ * Computed exponential backoff for an attempt, with the configured jitter
+ * @private
+ * @param {Object} httpOpts - HTTP options
+ * @param {number} attempt - Retry attempt, starting at 1
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelayMs(httpOpts, attempt) {
+  const delay = Math.min(httpOpts.baseDelayMs * Math.pow(2, attempt - 1), httpOpts.maxDelayMs);
+  if (httpOpts.jitter === "full") return Math.round(Math.random() * delay);
+  if (httpOpts.jitter === "equal") return Math.round(delay / 2 + Math.random() * (delay / 2));
+  return delay;
+}
+
+function isRetryableStatus(httpOpts, status) {
+  if (httpOpts.retryableStatuses) return httpOpts.retryableStatuses.includes(status);
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Decide whether a failed attempt may be replayed
+ * @private
+ * @param {Object} httpOpts - HTTP options
+ * @param {string} step - Step name
+ * @param {string} method - HTTP method
+ * @param {BullhornAuthError} error - Failure of the attempt
+ * @returns {boolean} True when the request can be retried
+ */
+function canRetry(httpOpts, step, method, error) {
+  if (httpOpts.noRetrySteps.includes(step)) return false;
+  if (error.status !== undefined && !isRetryableStatus(httpOpts, error.status)) return false;
+  const idempotent = step === "request"
+    ? SAFE_METHODS.includes(method)
+    : !NON_IDEMPOTENT_STEPS.includes(step);
+  // A 429 means Bullhorn rejected the request without processing it, so replaying is always safe
+  return idempotent || httpOpts.retryNonIdempotent || error.status === 429;
 }
 
-async function requestWithRetry(urlStr, init, httpOpts) {
+async function requestWithRetry(urlStr, init, httpOpts, step) {
+  const method = (init?.method || "GET").toUpperCase();
   let attempt = 0;
   let lastError;
   while (attempt <= httpOpts.retries) {
+    let res;
     try {
-      const res = await doFetch(urlStr, init, httpOpts);
-      if (res.status >= 500 || res.status === 429) {
-        throw Object.assign(new Error(`HTTP ${res.status}`), { response: res });
+      res = await doFetch(urlStr, init, httpOpts, step);
+      if (res.status === 429) {
+        throw Object.assign(await errorFromResponse(RateLimitedError, step, res), {
+          retryAfterMs: serverRetryDelayMs(res) ?? undefined
+        });
+      }
+      if (res.status >= 500 || isRetryableStatus(httpOpts, res.status)) {
+        throw await errorFromResponse(BullhornAuthError, step, res);
       }
       return res;
     } catch (err) {
-      lastError = err;
+      if (httpOpts.signal?.aborted) throw httpOpts.signal.reason;
+      if (!(err instanceof BullhornAuthError) && typeof err?.message === "string") {
+        // fetch rejects with messages such as "Failed to parse URL from <url>"
+        err.message = redact(err.message);
+      }
+      lastError = err instanceof BullhornAuthError
+        ? err
+        : new BullhornAuthError(err.message, { step, status: err?.response?.status, response: err?.response, cause: err });
       attempt += 1;
-      if (attempt > httpOpts.retries) break;
+      if (attempt > httpOpts.retries || !canRetry(httpOpts, step, method, lastError)) break;
+      const hintedMs = res && httpOpts.respectRetryAfter ? serverRetryDelayMs(res) : null;
+      if (hintedMs !== null && hintedMs > httpOpts.maxRetryAfterMs) break;
+      const delayMs = hintedMs ?? backoffDelayMs(httpOpts, attempt);
+      if (httpOpts.notify) {
+        httpOpts.notify("retry", { step, attempt, status: lastError.status, error: lastError.message, delayMs });
+      }
       if (httpOpts.onRetryAttempt) {
         try { 
-          httpOpts.onRetryAttempt({ attempt, status: err?.response?.status, error: err.message }); 
+          httpOpts.onRetryAttempt({ attempt, step, status: lastError.status, error: lastError.message, delayMs }); 
         } catch {
           // Silently ignore callback errors to prevent disrupting retry logic
         }
       }
-      const backoffMs = Math.min(1000 * Math.pow(2, attempt - 1), 4000);
-      await new Promise(r => setTimeout(r, backoffMs));
+      await sleep(delayMs, httpOpts.signal);
     }
   }
   throw lastError;
 }
 
+const EVENT_LOG_LEVELS = {
+  "step:start": "debug",
+  "step:end": "debug",
+  "retry": "warn",
+  "fallback": "warn",
+  "login:success": "info",
+  "login:failure": "error",
+  "audit:error": "error"
+};
+
+/**
+ * Create the function that reports auth events to config.events and config.logger
+ * @private
+ * @param {Object} config - Configuration
+ * @param {Object} [config.events] - EventEmitter-like object receiving every event
+ * @param {Object} [config.logger] - Logger with debug/info/warn/error methods (e.g. console, pino)
+ * @returns {Function|null} notify(event, payload), or null when nobody listens
+ */
+function createNotifier(config) {
+  const emitter = config.events;
+  const logger = config.logger;
+  if (emitter && typeof emitter.emit !== "function") {
+    throw new Error("events must be an EventEmitter (emit(event, payload))");
+  }
+  if (logger && typeof logger !== "object") {
+    throw new Error("logger must be an object with debug/info/warn/error methods");
+  }
+  if (!emitter && !logger) return null;
+  return (event, payload) => {
+    const data = { event, timestamp: Date.now(), ...payload };
+    try {
+      if (emitter) emitter.emit(event, data);
+    } catch {
+      // Listener errors must not break authentication
+    }
+    try {
+      const log = logger?.[EVENT_LOG_LEVELS[event]] ?? logger?.log;
+      if (typeof log === "function") log.call(logger, `bullhorn-auth ${event}`, redact(data));
+    } catch {
+      // Logger errors must not break authentication
+    }
+  };
+}
+
+/**
+ * Create the function that hands one audit entry to every sink in config.audit
+ * @private
+ * @param {Object} config - Configuration
+ * @param {Object|Object[]} [config.audit] - Audit sink(s) implementing write(entry)
+ * @param {Function|null} notify - Receives audit:error when a sink fails
+ * @returns {Function|null} async record(entry), or null when no sink is configured
+ */
+function createAuditor(config, notify) {
+  if (config.audit === undefined || config.audit === null) return null;
+  const sinks = Array.isArray(config.audit) ? config.audit : [config.audit];
+  if (sinks.some((sink) => typeof sink?.write !== 'function')) {
+    throw new Error("audit must be a sink implementing write(entry), or an array of them");
+  }
+  return async (entry) => {
+    // Sinks get their own copy, and a failing sink neither breaks authentication nor the other sinks
+    await Promise.all(sinks.map(async (sink) => {
+      try {
+        await sink.write({ ...entry });
+      } catch (error) {
+        if (notify) notify("audit:error", { error: redact(error.message), errorName: error.name });
+      }
+    }));
+  };
+}
+
+let auditOriginCache;
+
+/**
+ * Host and process recorded with every audit entry
+ * @private
+ * @returns {Object} { host, pid }; either is undefined where the runtime has no such notion
+ */
+function auditOrigin() {
+  if (!auditOriginCache) {
+    let host;
+    try {
+      host = require("os").hostname();
+    } catch {
+      host = globalThis.location?.hostname;
+    }
+    auditOriginCache = { host, pid: typeof process === 'undefined' ? undefined : process.pid };
+  }
+  return auditOriginCache;
+}
+
+/**
+ * Run one step and report step:start / step:end with its duration and status
+ * @private
+ * @param {Object} httpOpts - HTTP options (httpOpts.notify receives the events)
+ * @param {string} step - Step name
+ * @param {string} method - Login path the step belongs to
+ * @param {Function} fn - Async function performing the step
+ * @returns {Promise<*>} Result of fn
+ */
+async function runStep(httpOpts, step, method, fn) {
+  if (httpOpts.attempt && method) httpOpts.attempt.method = method;
+  const notify = httpOpts.notify;
+  if (!notify) return fn();
+  const started = Date.now();
+  notify("step:start", { step, method });
+  try {
+    const result = await fn();
+    notify("step:end", {
+      step,
+      method,
+      ok: true,
+      status: result?.raw?.status ?? result?.status,
+      durationMs: Date.now() - started,
+      raw: result?.raw
+    });
+    return result;
+  } catch (error) {
+    notify("step:end", {
+      step,
+      method,
+      ok: false,
+      status: error.status,
+      error: error.message,
+      errorName: error.name,
+      durationMs: Date.now() - started
+    });
+    throw error;
+  }
+}
+
+function isSuccess(res) {
+  return res.status >= 200 && res.status < 300;
+}
+
 function basicLogFromResponse(res) {
   return {
     status: res.status,
@@ -87,15 +891,27 @@ function basicLogFromResponse(res) {
  * @param {Object} httpOpts - HTTP options
  * @param {string} username - Bullhorn username
  * @returns {Promise<Object>} OAuth and REST URLs
+ * @throws {LoginInfoError} When Bullhorn does not return both URLs
  */
 async function loginInfo(httpOpts, username) {
   if (!username || typeof username !== 'string') {
     throw new Error("username must be a non-empty string");
   }
-  const safeUser = encodeURIComponent(username);
-  const urlStr = `https://rest.bullhornstaffing.com/rest-services/loginInfo?username=${safeUser}`;
-  const response = await requestWithRetry(urlStr, { method: "GET" }, httpOpts);
+  const target = new URL(httpOpts.endpoints?.loginInfoUrl ?? DEFAULT_LOGIN_INFO_URL);
+  target.searchParams.set("username", username);
+  const response = await requestWithRetry(target.toString(), { method: "GET" }, httpOpts, "loginInfo");
+  if (!isSuccess(response)) {
+    throw await errorFromResponse(LoginInfoError, "loginInfo", response);
+  }
   const body = await response.json();
+  if (!body?.oauthUrl || !body?.restUrl) {
+    throw new LoginInfoError("loginInfo response is missing oauthUrl or restUrl", {
+      step: "loginInfo",
+      status: response.status,
+      body,
+      response
+    });
+  }
   return {
     oauthUrl: body.oauthUrl,
     restUrl: body.restUrl,
@@ -103,6 +919,26 @@ async function loginInfo(httpOpts, username) {
   };
 }
 
+/**
+ * Map a failed OAuth token response to the matching error class
+ * @private
+ * @param {string} step - Failing step
+ * @param {Response} response - Token endpoint response
+ * @returns {Promise<BullhornAuthError>} Error to throw
+ */
+async function tokenError(step, response) {
+  const error = await errorFromResponse(BullhornAuthError, step, response);
+  const code = error.body?.error;
+  let ErrorClass = BullhornAuthError;
+  if (code === "invalid_client" || code === "unauthorized_client") {
+    ErrorClass = InvalidCredentialsError;
+  } else if (code === "invalid_grant" && step === "step0") {
+    ErrorClass = RefreshTokenExpiredError;
+  }
+  if (ErrorClass === BullhornAuthError) return error;
+  return new ErrorClass(error.message, { step, status: error.status, body: error.body, response });
+}
+
 /**
  * Exchange refresh token for new access token
  * @private
@@ -112,31 +948,27 @@ async function loginInfo(httpOpts, username) {
  * @param {string} clientId - OAuth client ID
  * @param {string} clientSecret - OAuth client secret
  * @returns {Promise<Object>} New access and refresh tokens
+ * @throws {RefreshTokenExpiredError} When Bullhorn rejects the refresh token
  */
 async function step0(httpOpts, oauthUrl, refreshToken, clientId, clientSecret) {
-  try {
-    const urlStr = `${oauthUrl}/token?grant_type=refresh_token&refresh_token=${refreshToken}&client_id=${clientId}&client_secret=${clientSecret}`;
-    const response = await requestWithRetry(urlStr, { method: "POST" }, httpOpts);
-    const body = await response.json();
-    return {
-      ok: true,
-      accessToken: body.access_token,
-      refreshToken: body.refresh_token,
-      raw: basicLogFromResponse(response)
-    };
-  } catch (error) {
-    const status = error?.response?.status;
-    return { 
-      ok: false, 
-      status, 
-      error: error.message,
-      raw: { 
-        status,
-        statusText: error?.response?.statusText,
-        error: error.message 
-      } 
-    };
+  const urlStr = `${oauthUrl}/token`;
+  const form = formRequest({
+    grant_type: "refresh_token",
+    refresh_token: refreshToken,
+    client_id: clientId,
+    client_secret: clientSecret
+  });
+  const response = await requestWithRetry(urlStr, { method: "POST", ...form }, httpOpts, "step0");
+  if (!isSuccess(response)) {
+    throw await tokenError("step0", response);
   }
+  const body = await response.json();
+  return {
+    accessToken: body.access_token,
+    refreshToken: body.refresh_token,
+    expiresIn: body.expires_in,
+    raw: basicLogFromResponse(response)
+  };
 }
 
 /**
@@ -149,18 +981,258 @@ async function step0(httpOpts, oauthUrl, refreshToken, clientId, clientSecret) {
  * @param {string} username - Bullhorn username
  * @param {string} password - Bullhorn password
  * @returns {Promise<Object>} Temporary authorization code
+ * @throws {InvalidCredentialsError} When Bullhorn does not redirect with a code
  */
 async function step1(httpOpts, oauthUrl, clientId, username, password) {
-  const urlStr = `${oauthUrl}/authorize?client_id=${clientId}&response_type=code&action=Login&username=${encodeURIComponent(
-    username
-  )}&password=${encodeURIComponent(password)}`;
-  const response = await requestWithRetry(urlStr, { method: "GET", redirect: "manual", headers: { "Content-Type": "application/x-www-form-urlencoded" } }, httpOpts);
+  const authorizeParams = new URLSearchParams({ client_id: clientId, response_type: "code", action: "Login", username, password });
+  const urlStr = `${oauthUrl}/authorize?${authorizeParams}`;
+  const response = await requestWithRetry(urlStr, { method: "GET", redirect: "manual", headers: { "Content-Type": "application/x-www-form-urlencoded" } }, httpOpts, "step1");
   const location = response.headers.get("location");
-  const parsedURL = url.parse(location);
-  const tmpAuthCode = qs.parse(parsedURL.query).code;
+  if (!location) {
+    throw await loginPageError(response);
+  }
+  let query;
+  try {
+    query = new URL(location, urlStr).searchParams;
+  } catch {
+    throw new BullhornAuthError(`step1 failed: authorize redirected to an invalid URL (${location})`, {
+      step: "step1",
+      status: response.status,
+      reason: "missing_code",
+      response
+    });
+  }
+  const tmpAuthCode = query.get("code");
+  if (query.has("error")) {
+    const error = query.get("error");
+    const description = query.get("error_description");
+    throw new InvalidCredentialsError(`step1 failed: authorize redirected with ${error}${description ? ` (${description})` : ""}`, {
+      step: "step1",
+      status: response.status,
+      body: { error, error_description: description ?? undefined },
+      reason: "redirect_error",
+      response
+    });
+  }
+  if (!tmpAuthCode) {
+    throw new BullhornAuthError("step1 failed: redirect has no authorization code", {
+      step: "step1",
+      status: response.status,
+      reason: "missing_code",
+      response
+    });
+  }
   return { tmpAuthCode, raw: basicLogFromResponse(response) };
 }
 
+/**
+ * Pull the user-facing message out of a Bullhorn login page: the first element whose
+ * class or id mentions an error or alert, otherwise the page title
+ * @private
+ * @param {string} html - Page markup
+ * @returns {string|null} Plain-text message, at most 300 characters
+ */
+function loginPageMessage(html) {
+  const match = html.match(/<(\w+)[^>]*\b(?:class|id)="[^"]*(?:error|alert|warning|message)[^"]*"[^>]*>([\s\S]*?)<\/\1>/i)
+    || html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  if (!match) return null;
+  const text = match[match.length - 1].replace(/<[^>]*>/g, " ").replace(/&nbsp;/g, " ").replace(/\s+/g, " ").replace(/ ([.,;:!?])/g, "$1").trim();
+  return text ? text.slice(0, 300) : null;
+}
+
+/**
+ * Explain an authorize response that did not redirect. A 200 is Bullhorn's login page,
+ * re-rendered for bad credentials, a locked account or terms of service still to accept.
+ * @private
+ * @param {Response} response - authorize response without a Location header
+ * @returns {Promise<InvalidCredentialsError>} Error with reason and, when found, the page's message
+ */
+async function loginPageError(response) {
+  const body = await readErrorBody(response);
+  if (response.status < 200 || response.status >= 300) {
+    const detail = body?.error_description || body?.errorMessage || body?.error;
+    return new InvalidCredentialsError(`step1 failed: authorize returned HTTP ${response.status} without a redirect${typeof detail === "string" ? ` (${detail})` : ""}`, {
+      step: "step1",
+      status: response.status,
+      body,
+      reason: "unexpected_status",
+      response
+    });
+  }
+  const html = typeof body === "string" ? body : "";
+  const message = loginPageMessage(html);
+  const text = message ?? html.replace(/<[^>]*>/g, " ");
+  const [reason] = LOGIN_PAGE_DIAGNOSES.find(([, pattern]) => pattern.test(text)) ?? ["login_page"];
+  const hint = {
+    account_locked: "the API user is locked or disabled",
+    terms_not_accepted: "the API user has not accepted the terms of service; log in once in a browser",
+    invalid_credentials: "check username and password",
+    login_page: "check username, password and clientId"
+  }[reason];
+  return new InvalidCredentialsError(`step1 failed: authorize returned the login page: ${hint}${message ? ` (${message})` : ""}`, {
+    step: "step1",
+    status: response.status,
+    body: { error: reason, error_description: message ?? undefined },
+    reason,
+    response
+  });
+}
+
+/**
+ * Web Crypto: global in browsers, edge runtimes, Deno, Bun and Node 19+; node:crypto's on Node 18
+ * @private
+ * @returns {Crypto} Web Crypto implementation
+ */
+function webCrypto() {
+  return globalThis.crypto?.subtle ? globalThis.crypto : require("crypto").webcrypto;
+}
+
+/**
+ * Encode bytes as unpadded base64url
+ * @private
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} base64url string
+ */
+function base64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Random URL-safe string for OAuth state and PKCE verifiers
+ * @private
+ * @param {number} bytes - Entropy in bytes
+ * @returns {string} base64url string
+ */
+function randomUrlSafe(bytes) {
+  return base64Url(webCrypto().getRandomValues(new Uint8Array(bytes)));
+}
+
+/**
+ * PKCE S256 code challenge for a verifier
+ * @private
+ * @param {string} codeVerifier - Code verifier
+ * @returns {Promise<string>} base64url SHA-256 digest
+ */
+async function pkceChallenge(codeVerifier) {
+  const digest = await webCrypto().subtle.digest("SHA-256", new TextEncoder().encode(codeVerifier));
+  return base64Url(new Uint8Array(digest));
+}
+
+/**
+ * Compare two strings in time that does not depend on where they differ
+ * @private
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} Whether they are equal
+ */
+function constantTimeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Wait for the browser to be redirected to a loopback redirectUri, serving it from a
+ * temporary local server that stops after the first callback
+ * @private
+ * @param {URL} redirectUri - Loopback redirect URI with an explicit port
+ * @param {Function} onListening - Called once the server accepts connections
+ * @param {AbortSignal} signal - Stops waiting when aborted
+ * @returns {Promise<string>} Full callback URL
+ */
+function waitForLocalCallback(redirectUri, onListening, signal) {
+  const http = require("http");
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => {
+      const callbackUrl = new URL(req.url, redirectUri);
+      if (callbackUrl.pathname !== redirectUri.pathname) {
+        res.writeHead(404).end();
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" })
+        .end("<!doctype html><title>Bullhorn login</title><p>Login complete. You can close this window.</p>",
+          () => finish(() => resolve(callbackUrl.toString())));
+    });
+    const onAbort = () => finish(() => reject(signal.reason));
+    function finish(settle) {
+      signal.removeEventListener("abort", onAbort);
+      server.close();
+      server.closeAllConnections?.();
+      settle();
+    }
+    signal.addEventListener("abort", onAbort, { once: true });
+    server.once("error", (error) => finish(() => reject(error)));
+    server.listen(Number(redirectUri.port), redirectUri.hostname.replace(/^\[|\]$/g, ""), () => {
+      Promise.resolve()
+        .then(() => onListening())
+        .catch((error) => finish(() => reject(error)));
+    });
+  });
+}
+
+/**
+ * Interactive replacement for step1: send the user's browser to the authorize page
+ * with redirect_uri, state and a PKCE challenge, then take the code from the callback
+ * @private
+ * @param {Object} httpOpts - HTTP options (httpOpts.interactive holds the interactive options)
+ * @param {string} oauthUrl - OAuth server URL
+ * @param {string} clientId - OAuth client ID
+ * @returns {Promise<Object>} Authorization code plus the redirect_uri and code_verifier step2 must send
+ * @throws {BullhornAuthError} When Bullhorn reports an error or the state does not match
+ * @throws {TimeoutError} When no callback arrives within interactive.timeoutMs
+ */
+async function interactiveAuthorize(httpOpts, oauthUrl, clientId) {
+  const options = httpOpts.interactive;
+  const state = randomUrlSafe(24);
+  const codeVerifier = options.pkce ? randomUrlSafe(48) : undefined;
+  const authorizeUrl = new URL(`${oauthUrl}/authorize`);
+  authorizeUrl.searchParams.set("client_id", clientId);
+  authorizeUrl.searchParams.set("response_type", "code");
+  authorizeUrl.searchParams.set("redirect_uri", options.redirectUri);
+  authorizeUrl.searchParams.set("state", state);
+  if (codeVerifier) {
+    authorizeUrl.searchParams.set("code_challenge", await pkceChallenge(codeVerifier));
+    authorizeUrl.searchParams.set("code_challenge_method", "S256");
+  }
+
+  const scope = createAbortScope(httpOpts.signal ?? undefined, options.timeoutMs, () =>
+    new TimeoutError(`step1 timed out after ${options.timeoutMs}ms waiting for the interactive login`, { step: "step1" }));
+  let callbackUrl;
+  try {
+    // An already aborted signal never fires "abort" again
+    if (scope.signal.aborted) throw scope.signal.reason;
+    if (options.getCallbackUrl) {
+      const aborted = new Promise((_resolve, reject) => {
+        scope.signal.addEventListener("abort", () => reject(scope.signal.reason), { once: true });
+      });
+      callbackUrl = await Promise.race([options.getCallbackUrl(authorizeUrl.toString(), { signal: scope.signal }), aborted]);
+    } else {
+      callbackUrl = await waitForLocalCallback(new URL(options.redirectUri),
+        () => options.onAuthorizeUrl(authorizeUrl.toString()), scope.signal);
+    }
+  } finally {
+    scope.dispose();
+  }
+
+  const params = new URL(callbackUrl, options.redirectUri).searchParams;
+  if (params.get("error")) {
+    const body = { error: params.get("error"), error_description: params.get("error_description") ?? undefined };
+    throw new BullhornAuthError(`step1 failed: ${body.error_description || body.error}`, { step: "step1", body, reason: "redirect_error" });
+  }
+  const returnedState = params.get("state") ?? "";
+  if (!constantTimeEqual(returnedState, state)) {
+    throw new BullhornAuthError("step1 failed: callback state does not match the authorize request", { step: "step1", reason: "state_mismatch" });
+  }
+  const tmpAuthCode = params.get("code");
+  if (!tmpAuthCode) {
+    throw new BullhornAuthError("step1 failed: callback has no authorization code", { step: "step1", reason: "missing_code" });
+  }
+  return { tmpAuthCode, extraParams: { redirect_uri: options.redirectUri, code_verifier: codeVerifier } };
+}
+
 /**
  * Exchange authorization code for access token
  * @private
@@ -169,15 +1241,28 @@ async function step1(httpOpts, oauthUrl, clientId, username, password) {
  * @param {string} clientId - OAuth client ID
  * @param {string} clientSecret - OAuth client secret
  * @param {string} tmpAuthCode - Temporary authorization code
+ * @param {Object} [extraParams] - Additional form parameters, e.g. redirect_uri and code_verifier
  * @returns {Promise<Object>} Access and refresh tokens
+ * @throws {InvalidCredentialsError} When Bullhorn rejects the client credentials
  */
-async function step2(httpOpts, oauthUrl, clientId, clientSecret, tmpAuthCode) {
-  const urlStr = `${oauthUrl}/token?grant_type=authorization_code&client_id=${clientId}&client_secret=${clientSecret}&code=${tmpAuthCode}`;
-  const response = await requestWithRetry(urlStr, { method: "POST" }, httpOpts);
+async function step2(httpOpts, oauthUrl, clientId, clientSecret, tmpAuthCode, extraParams = {}) {
+  const urlStr = `${oauthUrl}/token`;
+  const form = formRequest({
+    grant_type: "authorization_code",
+    code: tmpAuthCode,
+    client_id: clientId,
+    client_secret: clientSecret,
+    ...extraParams
+  });
+  const response = await requestWithRetry(urlStr, { method: "POST", ...form }, httpOpts, "step2");
+  if (!isSuccess(response)) {
+    throw await tokenError("step2", response);
+  }
   const body = await response.json();
   return {
     accessToken: body.access_token,
     refreshToken: body.refresh_token,
+    expiresIn: body.expires_in,
     raw: basicLogFromResponse(response)
   };
 }
@@ -190,15 +1275,22 @@ async function step2(httpOpts, oauthUrl, clientId, clientSecret, tmpAuthCode) {
  * @param {string} accessToken - OAuth access token
  * @param {number} ttlDays - Token TTL in days
  * @returns {Promise<Object>} REST URL and token
+ * @throws {BullhornAuthError} When Bullhorn rejects the access token
  */
 async function step3(httpOpts, restUrl, accessToken, ttlDays) {
-  const ttl = Number.isFinite(ttlDays) ? ttlDays : Number(process.env.BULLHORN_TTL || 30);
-  const urlStr = `${restUrl}/login?version=*&access_token=${accessToken}&ttl=${ttl}`;
-  const response = await requestWithRetry(urlStr, { method: "POST" }, httpOpts);
+  const ttl = Number.isFinite(ttlDays) ? ttlDays : 30;
+  const urlStr = `${restUrl}/login`;
+  const form = formRequest({ version: "*", access_token: accessToken, ttl });
+  const response = await requestWithRetry(urlStr, { method: "POST", ...form }, httpOpts, "step3");
+  if (!isSuccess(response)) {
+    throw await errorFromResponse(BullhornAuthError, "step3", response);
+  }
   const body = await response.json();
   return {
     restUrl: body.restUrl,
     restToken: body.BhRestToken,
+    userId: body.userId,
+    corporationId: body.corporationId,
     raw: basicLogFromResponse(response)
   };
 }
@@ -210,41 +1302,61 @@ async function step3(httpOpts, restUrl, accessToken, ttlDays) {
  * @param {string} restUrl - REST API URL
  * @param {string} restToken - REST API token
  * @returns {Promise<Object>} Validation result with rate limit info
+ * @throws {BullhornAuthError} When the token is rejected
  */
-async function ping(httpOpts, restUrl, restToken) {
-  try {
-    const urlStr = `${restUrl}/ping`;
-    const response = await requestWithRetry(urlStr, { method: "GET", headers: { BhRestToken: restToken } }, httpOpts);
-    const log = basicLogFromResponse(response);
-    const minRemaining = response.headers.get("x-ratelimit-remaining-minute");
-    return { ok: true, minRemaining: minRemaining ?? log?.headers?.["x-ratelimit-remaining-minute"], raw: log };
-  } catch (error) {
-    const status = error?.response?.status;
-    return { 
-      ok: false, 
-      status,
-      error: error.message, 
-      raw: { 
-        status,
-        statusText: error?.response?.statusText,
-        error: error.message
-      } 
-    };
+async function restPing(httpOpts, restUrl, restToken) {
+  const urlStr = `${restUrl}/ping`;
+  const response = await requestWithRetry(urlStr, { method: "GET", headers: { BhRestToken: restToken } }, httpOpts, "ping");
+  if (!isSuccess(response)) {
+    throw await errorFromResponse(BullhornAuthError, "ping", response);
+  }
+  const log = basicLogFromResponse(response);
+  const minRemaining = response.headers.get("x-ratelimit-remaining-minute");
+  return { minRemaining: minRemaining ?? log?.headers?.["x-ratelimit-remaining-minute"], raw: log };
+}
+
+/**
+ * End a REST session. A session Bullhorn no longer knows (401) counts as already ended.
+ * @private
+ * @param {Object} httpOpts - HTTP options
+ * @param {string} restUrl - REST API URL
+ * @param {string} restToken - REST API token
+ * @returns {Promise<Object>} { loggedOut } - false when the session had already expired
+ * @throws {BullhornAuthError} When Bullhorn answers with another error
+ */
+async function restLogout(httpOpts, restUrl, restToken) {
+  const urlStr = `${restUrl}/logout`;
+  const response = await requestWithRetry(urlStr, { method: "GET", headers: { BhRestToken: restToken } }, httpOpts, "logout");
+  if (response.status === 401) {
+    return { loggedOut: false, raw: basicLogFromResponse(response) };
+  }
+  if (!isSuccess(response)) {
+    throw await errorFromResponse(BullhornAuthError, "logout", response);
   }
+  return { loggedOut: true, raw: basicLogFromResponse(response) };
 }
 
 // Note: This function is kept for potential future use but is not currently called
-// All password encoding is done inline with encodeURIComponent()
+// All parameter encoding is done with URLSearchParams (query strings and form bodies)
 function _encodePasswordIfNeeded(password) { // eslint-disable-line no-unused-vars
   return encodeURIComponent(password);
 }
 
+/**
+ * The process environment, or an empty object on runtimes without one (edge, browser)
+ * @private
+ * @returns {Object} Environment variables object
+ */
+function defaultEnv() {
+  return typeof process === 'undefined' ? {} : process.env;
+}
+
 /**
  * Extract Bullhorn credentials from environment variables
  * @param {Object} [env=process.env] - Environment variables object
  * @returns {Object|null} Credentials object or null if incomplete
  */
-function credentialsFromEnv(env = process.env) {
+function credentialsFromEnv(env = defaultEnv()) {
   const clientId = env.BH_CLIENT_ID;
   const clientSecret = env.BH_CLIENT_SECRET;
   const username = env.BH_USERNAME;
@@ -255,12 +1367,222 @@ function credentialsFromEnv(env = process.env) {
   return null;
 }
 
+// Credential fields and the variable names (after the prefix) they are read from
+const CREDENTIAL_VARS = {
+  clientId: "CLIENT_ID",
+  clientSecret: "CLIENT_SECRET",
+  username: "USERNAME",
+  password: "PASSWORD"
+};
+
+/**
+ * Copy the credential fields that are set to non-empty strings
+ * @private
+ * @param {Object} source - Object that may hold credentials
+ * @param {Function} nameOf - Maps a credential field to the key to read from source
+ * @returns {Object} Partial credentials (may be empty)
+ */
+function pickCredentials(source, nameOf = (field) => field) {
+  const credentials = {};
+  Object.keys(CREDENTIAL_VARS).forEach((field) => {
+    const value = source?.[nameOf(field)];
+    if (typeof value === "string" && value !== "") credentials[field] = value;
+  });
+  return credentials;
+}
+
+/**
+ * Credentials provider reading BH_CLIENT_ID, BH_CLIENT_SECRET, BH_USERNAME and BH_PASSWORD.
+ * Unlike credentialsFromEnv, partial credentials are returned, so a chain can fill in the rest.
+ * @param {Object} [options] - Provider options
+ * @param {Object} [options.env=process.env] - Environment variables object
+ * @param {string} [options.prefix="BH_"] - Variable name prefix
+ * @returns {Function} async () => partial credentials
+ */
+function envCredentials(options = {}) {
+  const { env = defaultEnv(), prefix = "BH_" } = options;
+  return async () => pickCredentials(env, (field) => `${prefix}${CREDENTIAL_VARS[field]}`);
+}
+
+/**
+ * Credentials provider reading the files named by BH_CLIENT_ID_FILE, BH_CLIENT_SECRET_FILE,
+ * BH_USERNAME_FILE and BH_PASSWORD_FILE, as mounted by Docker and Kubernetes secrets.
+ * Files are read on every call, so rotated secrets are picked up; a trailing newline is dropped.
+ * @param {Object} [options] - Provider options
+ * @param {Object} [options.env=process.env] - Environment variables object
+ * @param {string} [options.prefix="BH_"] - Variable name prefix
+ * @returns {Function} async () => partial credentials
+ * @throws {Error} When a named file cannot be read
+ */
+function secretFileCredentials(options = {}) {
+  const { env = defaultEnv(), prefix = "BH_" } = options;
+  return async () => {
+    const fs = require("fs");
+    const values = {};
+    await Promise.all(Object.entries(CREDENTIAL_VARS).map(async ([field, name]) => {
+      const file = env[`${prefix}${name}_FILE`];
+      if (!file) return;
+      const contents = await fs.promises.readFile(file, "utf8").catch((error) => {
+        throw new Error(`cannot read ${prefix}${name}_FILE (${file}): ${error.message}`, { cause: error });
+      });
+      values[field] = contents.replace(/\r?\n$/, "");
+    }));
+    return pickCredentials(values);
+  };
+}
+
+/**
+ * Parse dotenv-style KEY=VALUE lines; comments, blank lines and an "export " prefix are ignored
+ * @private
+ * @param {string} contents - File contents
+ * @returns {Object} Variables
+ */
+function parseDotenv(contents) {
+  const vars = {};
+  contents.split(/\r?\n/).forEach((line) => {
+    const match = line.match(/^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*?)\s*$/);
+    if (!match) return;
+    let value = match[2];
+    const quoted = value.match(/^(["'])(.*)\1$/);
+    if (quoted) {
+      value = quoted[1] === '"' ? quoted[2].replace(/\\n/g, "\n") : quoted[2];
+    } else {
+      value = value.replace(/\s+#.*$/, "");
+    }
+    vars[match[1]] = value;
+  });
+  return vars;
+}
+
+/**
+ * Credentials provider reading a JSON or dotenv file on every call. JSON files hold
+ * { clientId, clientSecret, username, password } or BH_* keys; any other file is read as
+ * dotenv (BH_CLIENT_ID=...).
+ * @param {string} filePath - File path
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.prefix="BH_"] - Variable name prefix for BH_* keys
+ * @param {boolean} [options.optional=false] - Return nothing instead of failing when the file does not exist
+ * @returns {Function} async () => partial credentials
+ */
+function fileCredentials(filePath, options = {}) {
+  if (!filePath || typeof filePath !== 'string') {
+    throw new Error("filePath must be a non-empty string");
+  }
+  const { prefix = "BH_", optional = false } = options;
+  return async () => {
+    const fs = require("fs");
+    let contents;
+    try {
+      contents = await fs.promises.readFile(filePath, "utf8");
+    } catch (error) {
+      if (optional && error.code === "ENOENT") return {};
+      throw error;
+    }
+    let values;
+    if (filePath.endsWith(".json") || contents.trimStart().startsWith("{")) {
+      try {
+        values = JSON.parse(contents);
+      } catch (error) {
+        throw new Error(`${filePath} is not valid JSON: ${error.message}`, { cause: error });
+      }
+    } else {
+      values = parseDotenv(contents);
+    }
+    return {
+      ...pickCredentials(values, (field) => `${prefix}${CREDENTIAL_VARS[field]}`),
+      ...pickCredentials(values)
+    };
+  };
+}
+
+/**
+ * Combine credential sources into one provider. Sources are consulted in order, each filling
+ * in only the fields still missing, until all four are known; later sources are then skipped.
+ * @param {...(Function|Object)} sources - Providers (sync or async functions) or plain credential objects
+ * @returns {Function} async ({ signal }) => credentials, or null when no source supplied any
+ */
+function credentialsChain(...sources) {
+  sources.forEach((source) => {
+    if (typeof source !== 'function' && (!source || typeof source !== 'object')) {
+      throw new Error("credentialsChain accepts provider functions and credential objects");
+    }
+  });
+  return async (context = {}) => {
+    const credentials = {};
+    for (const source of sources) {
+      if (Object.keys(credentials).length === Object.keys(CREDENTIAL_VARS).length) break;
+      const found = pickCredentials(typeof source === "function" ? await source(context) : source);
+      Object.entries(found).forEach(([field, value]) => {
+        if (credentials[field] === undefined) credentials[field] = value;
+      });
+    }
+    return Object.keys(credentials).length ? credentials : null;
+  };
+}
+
+/**
+ * Resolve params.credentials: call it when it is a provider function
+ * @private
+ * @param {Object|Function} [source] - Credentials or provider
+ * @param {AbortSignal|null} signal - Login signal, handed to the provider when there is one
+ * @returns {Promise<Object|undefined>} Credentials
+ * @throws {Error} When a provider returns something other than an object
+ */
+async function resolveCredentials(source, signal) {
+  if (typeof source !== "function") return source;
+  const credentials = await source({ signal: signal ?? undefined });
+  if (credentials !== null && credentials !== undefined && typeof credentials !== "object") {
+    throw new Error("credentials provider must return an object (or null)");
+  }
+  return credentials ?? undefined;
+}
+
+// Persisted alongside the tokens so a later login can judge them without a ping
+const TOKEN_FIELDS = [
+  "restUrl", "restToken", "refreshToken", "accessToken",
+  "issuedAt", "accessTokenExpiresAt", "restTokenExpiresAt", "verifiedAt", "userId", "corporationId"
+];
+
+/**
+ * Keep only the token fields that are set
+ * @private
+ * @param {Object} source - Object holding tokens
+ * @returns {Object} Tokens object (may be empty)
+ */
+function pickTokens(source) {
+  const tokens = {};
+  TOKEN_FIELDS.forEach((k) => {
+    if (source[k] !== undefined && source[k] !== null) tokens[k] = source[k];
+  });
+  return tokens;
+}
+
+/**
+ * Overlay tokens, keeping each token together with its own expiry: an overriding
+ * restToken or accessToken drops the expiry recorded for the one it replaces
+ * @private
+ * @param {Object} base - Tokens to start from
+ * @param {Object} override - Tokens that win
+ * @returns {Object} Merged tokens
+ */
+function mergeTokens(base, override) {
+  const merged = { ...base, ...override };
+  if (override.restToken && override.restToken !== base.restToken) {
+    merged.restTokenExpiresAt = override.restTokenExpiresAt;
+    merged.verifiedAt = override.verifiedAt;
+  }
+  if (override.accessToken && override.accessToken !== base.accessToken) {
+    merged.accessTokenExpiresAt = override.accessTokenExpiresAt;
+  }
+  return pickTokens(merged);
+}
+
 /**
  * Extract Bullhorn tokens from environment variables
  * @param {Object} [env=process.env] - Environment variables object
  * @returns {Object} Tokens object (may be empty)
  */
-function tokensFromEnv(env = process.env) {
+function tokensFromEnv(env = defaultEnv()) {
   const tokens = {
     restUrl: env.BH_REST_URL,
     restToken: env.BH_REST_TOKEN,
@@ -274,126 +1596,1896 @@ function tokensFromEnv(env = process.env) {
 }
 
 /**
- * Login to Bullhorn using the most efficient path available.
- * 
- * Attempts authentication in order of efficiency:
- * 1. Ping existing REST token if provided (fastest, no auth needed)
- * 2. Use refresh token if available (avoids username/password)
- * 3. Exchange access token for REST session (if access token provided)
- * 4. Full OAuth2 authentication flow (only when necessary)
- * 
- * @param {Object} params - Authentication parameters
- * @param {Object} [params.credentials] - OAuth2 credentials
- * @param {string} [params.credentials.clientId] - OAuth2 client ID
- * @param {string} [params.credentials.clientSecret] - OAuth2 client secret
- * @param {string} [params.credentials.username] - Bullhorn username
- * @param {string} [params.credentials.password] - Bullhorn password
- * @param {Object} [params.tokens] - Existing tokens to validate/use
- * @param {string} [params.tokens.restUrl] - REST API URL
- * @param {string} [params.tokens.restToken] - REST API token
- * @param {string} [params.tokens.refreshToken] - OAuth2 refresh token
- * @param {string} [params.tokens.accessToken] - OAuth2 access token
- * @param {Object} [config] - Configuration options
- * @param {number} [config.minRemainingThreshold=100] - Min requests/minute before re-auth
- * @param {number} [config.ttlDays=30] - Token TTL in days
- * @param {Object} [config.http] - HTTP client configuration
- * @returns {Promise<Object>} Authentication result with tokens and method used
- * @throws {Error} When insufficient credentials provided or all auth methods fail
+ * Extract login configuration from environment variables: BULLHORN_TTL as ttlDays and
+ * THRESHOLD_REMAINING_MIN as minRemainingThreshold. loginToBullhorn never reads the
+ * environment itself; spread the result into its config.
+ * @param {Object} [env=process.env] - Environment variables object
+ * @returns {Object} Config object (may be empty)
  */
-async function loginToBullhorn(params, config = {}) {
-  // Validate inputs
-  if (!params || typeof params !== 'object') {
-    throw new Error("params must be an object with credentials and/or tokens");
+function configFromEnv(env = defaultEnv()) {
+  const config = {};
+  if (env.BULLHORN_TTL) config.ttlDays = Number(env.BULLHORN_TTL);
+  if (env.THRESHOLD_REMAINING_MIN) config.minRemainingThreshold = Number(env.THRESHOLD_REMAINING_MIN);
+  return config;
+}
+
+/**
+ * Token store that keeps tokens in process memory.
+ *
+ * Token stores implement load(), save(tokens) and optionally clear(); loginToBullhorn loads
+ * from the store configured as config.tokenStore before logging in and saves
+ * the resulting tokens afterwards.
+ */
+class MemoryTokenStore {
+  /**
+   * @param {Object} [initial] - Tokens to seed the store with
+   */
+  constructor(initial) {
+    this._tokens = initial ? pickTokens(initial) : null;
   }
-  
-  const httpOpts = createHttpOptions(config.http || {});
-  
-  const threshold = Number(config.minRemainingThreshold ?? process.env.THRESHOLD_REMAINING_MIN ?? 100);
-  if (!Number.isFinite(threshold) || threshold < 0) {
-    throw new Error("minRemainingThreshold must be a non-negative number");
+
+  async load() {
+    return this._tokens ? { ...this._tokens } : null;
   }
-  
-  const ttlDays = Number(config.ttlDays ?? process.env.BULLHORN_TTL ?? 30);
-  if (!Number.isFinite(ttlDays) || ttlDays <= 0) {
-    throw new Error("ttlDays must be a positive number");
+
+  async save(tokens) {
+    this._tokens = pickTokens(tokens ?? {});
   }
 
-  const tokens = params.tokens ?? {};
-  const creds = params.credentials;
-
-  // If we have a restToken + restUrl, try ping first
-  if (tokens.restToken && tokens.restUrl) {
-    const pingResult = await ping(httpOpts, tokens.restUrl, tokens.restToken);
-    if (pingResult.ok) {
-      const remaining = parseInt(pingResult.minRemaining ?? "0", 10);
-      if (Number.isFinite(remaining) && remaining > threshold) {
-        return {
-          restUrl: tokens.restUrl,
-          restToken: tokens.restToken,
-          refreshToken: tokens.refreshToken,
-          accessToken: tokens.accessToken,
-          minRemaining: String(pingResult.minRemaining ?? ""),
-          method: "existing"
-        };
-      }
+  async clear() {
+    this._tokens = null;
+  }
+}
+
+/**
+ * Token store backed by a JSON file.
+ *
+ * Writes go to a temporary file in the same directory which is then renamed over
+ * the target, so readers never see a partially written file. The file is created
+ * with mode 0600 and missing directories with mode 0700.
+ */
+class FileTokenStore {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   * @param {Object} [options] - Store options
+   * @param {number} [options.mode=0o600] - File mode for the token file
+   */
+  constructor(filePath, options = {}) {
+    if (!filePath || typeof filePath !== 'string') {
+      throw new Error("filePath must be a non-empty string");
     }
+    this.filePath = require("path").resolve(filePath);
+    this.mode = options.mode ?? 0o600;
   }
 
-  // If refresh is possible, we need oauth/rest URLs first (loginInfo)
-  if (tokens.refreshToken && creds?.clientId && creds?.clientSecret && creds?.username) {
-    const { oauthUrl, restUrl } = await loginInfo(httpOpts, creds.username);
-    const r0 = await step0(httpOpts, oauthUrl, tokens.refreshToken, creds.clientId, creds.clientSecret);
-    if (r0.ok) {
-      const r3 = await step3(httpOpts, restUrl, r0.accessToken, ttlDays);
-      return {
-        restUrl: r3.restUrl,
-        restToken: r3.restToken,
-        refreshToken: r0.refreshToken,
-        accessToken: r0.accessToken,
-        method: "refresh"
-      };
+  async load() {
+    const fs = require("fs");
+    let contents;
+    try {
+      contents = await fs.promises.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
     }
-    // fall through to full login when refresh fails
+    return pickTokens(this.deserialize(contents) ?? {});
   }
 
-  // Shortcut: if accessToken is provided, try to exchange it for a REST session
-  if (tokens.accessToken) {
-    // Prefer provided restUrl; otherwise derive from username via loginInfo
-    let restUrl = tokens.restUrl;
-    if (!restUrl && creds?.username) {
-      const info = await loginInfo(httpOpts, creds.username);
-      restUrl = info.restUrl;
+  async save(tokens) {
+    const fs = require("fs");
+    const path = require("path");
+    const crypto = require("crypto");
+    const dir = path.dirname(this.filePath);
+    await fs.promises.mkdir(dir, { recursive: true, mode: 0o700 });
+    const tmpPath = path.join(dir, `.${path.basename(this.filePath)}.${process.pid}.${crypto.randomBytes(6).toString("hex")}.tmp`);
+    try {
+      await fs.promises.writeFile(tmpPath, this.serialize(pickTokens(tokens ?? {})), { mode: this.mode, flag: "wx" });
+      await fs.promises.rename(tmpPath, this.filePath);
+    } catch (error) {
+      await fs.promises.rm(tmpPath, { force: true });
+      throw error;
     }
-    if (!restUrl) {
-      throw new Error("accessToken provided but restUrl (or credentials.username to derive it) is missing");
+  }
+
+  async clear() {
+    await require("fs").promises.rm(this.filePath, { force: true });
+  }
+
+  /**
+   * Convert tokens to file contents
+   * @param {Object} tokens - Tokens to persist
+   * @returns {string} File contents
+   */
+  serialize(tokens) {
+    return `${JSON.stringify(tokens, null, 2)}\n`;
+  }
+
+  /**
+   * Convert file contents back to tokens
+   * @param {string} contents - File contents
+   * @returns {Object} Tokens
+   */
+  deserialize(contents) {
+    return JSON.parse(contents);
+  }
+}
+
+/**
+ * Parse an AES-256 key given as a Buffer, a 64-character hex string or base64
+ * @private
+ * @param {Buffer|string} value - Key material
+ * @returns {Buffer} 32-byte key
+ */
+function parseEncryptionKey(value) {
+  let key;
+  if (Buffer.isBuffer(value)) {
+    key = value;
+  } else if (typeof value === 'string' && /^[0-9a-f]{64}$/i.test(value.trim())) {
+    key = Buffer.from(value.trim(), "hex");
+  } else if (typeof value === 'string' && value.trim()) {
+    key = Buffer.from(value.trim(), "base64");
+  }
+  if (!key || key.length !== 32) {
+    throw new Error("encryption key must be 32 bytes (Buffer, 64 hex characters or base64)");
+  }
+  return key;
+}
+
+const ENCRYPTION_AAD = "bullhorn-auth-client:tokens:v1";
+
+/**
+ * Token store backed by a JSON file encrypted with AES-256-GCM.
+ *
+ * The key comes from options.key or the environment variable named by
+ * options.keyEnv. Older keys listed in options.previousKeys (or the
+ * comma-separated <keyEnv>_PREVIOUS variable) are still accepted for reading,
+ * and every save re-encrypts with the current key, which makes key rotation a
+ * matter of adding the new key and calling rotate(). A modified file fails the
+ * GCM auth tag check and load() rejects instead of returning tokens.
+ */
+class EncryptedFileTokenStore extends FileTokenStore {
+  /**
+   * @param {string} filePath - Path of the encrypted file
+   * @param {Object} [options] - Store options
+   * @param {Buffer|string} [options.key] - Current 32-byte key
+   * @param {string} [options.keyEnv="BH_TOKEN_KEY"] - Env var holding the key when options.key is omitted
+   * @param {Array<Buffer|string>} [options.previousKeys] - Retired keys still accepted for decryption
+   * @param {Object} [options.env=process.env] - Environment variables object
+   * @param {number} [options.mode=0o600] - File mode for the token file
+   */
+  constructor(filePath, options = {}) {
+    super(filePath, options);
+    const env = options.env ?? defaultEnv();
+    const keyEnv = options.keyEnv ?? "BH_TOKEN_KEY";
+    const keyValue = options.key ?? env[keyEnv];
+    if (!keyValue) {
+      throw new Error(`encryption key missing: pass options.key or set ${keyEnv}`);
     }
-    const s3 = await step3(httpOpts, restUrl, tokens.accessToken, ttlDays);
-    return {
-      restUrl: s3.restUrl,
-      restToken: s3.restToken,
-      accessToken: tokens.accessToken,
-      refreshToken: tokens.refreshToken,
-      method: "access"
-    };
+    const previous = options.previousKeys
+      ?? (env[`${keyEnv}_PREVIOUS`] ? env[`${keyEnv}_PREVIOUS`].split(",").filter((k) => k.trim()) : []);
+    this._key = parseEncryptionKey(keyValue);
+    this._keys = [this._key, ...previous.map(parseEncryptionKey)];
   }
 
-  // Full login requires full credentials
-  if (!creds || !creds.clientId || !creds.clientSecret || !creds.username || !creds.password) {
-    throw new Error("Insufficient input: provide either (restUrl+restToken) or (refreshToken+client creds) or full credentials");
+  /**
+   * Re-encrypt the stored tokens with the current key
+   * @returns {Promise<boolean>} False when there was nothing to rotate
+   */
+  async rotate() {
+    const tokens = await this.load();
+    if (!tokens) return false;
+    await this.save(tokens);
+    return true;
   }
 
-  const { oauthUrl, restUrl } = await loginInfo(httpOpts, creds.username);
-  const s1 = await step1(httpOpts, oauthUrl, creds.clientId, creds.username, creds.password);
-  const s2 = await step2(httpOpts, oauthUrl, creds.clientId, creds.clientSecret, s1.tmpAuthCode);
-  const s3 = await step3(httpOpts, restUrl, s2.accessToken, ttlDays);
+  serialize(tokens) {
+    const crypto = require("crypto");
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", this._key, iv);
+    cipher.setAAD(Buffer.from(ENCRYPTION_AAD));
+    const data = Buffer.concat([cipher.update(JSON.stringify(tokens), "utf8"), cipher.final()]);
+    const envelope = {
+      v: 1,
+      alg: "aes-256-gcm",
+      kid: keyId(this._key),
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      data: data.toString("base64")
+    };
+    return `${JSON.stringify(envelope, null, 2)}\n`;
+  }
 
-  return {
+  deserialize(contents) {
+    const envelope = JSON.parse(contents);
+    if (envelope?.v !== 1 || envelope.alg !== "aes-256-gcm") {
+      throw new Error("token file is not an encrypted token envelope");
+    }
+    const key = this._keys.find((k) => keyId(k) === envelope.kid);
+    if (!key) {
+      throw new Error("token file was encrypted with a key that is not configured");
+    }
+    try {
+      const decipher = require("crypto").createDecipheriv("aes-256-gcm", key, Buffer.from(envelope.iv, "base64"));
+      decipher.setAAD(Buffer.from(ENCRYPTION_AAD));
+      decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+      const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, "base64")), decipher.final()]);
+      return JSON.parse(plain.toString("utf8"));
+    } catch {
+      throw new Error("token file failed integrity check (tampered or corrupted)");
+    }
+  }
+}
+
+/**
+ * Short, non-secret identifier for a key so the matching key can be picked on decrypt
+ * @private
+ * @param {Buffer} key - Encryption key
+ * @returns {string} Key identifier
+ */
+function keyId(key) {
+  return require("crypto").createHash("sha256").update(key).digest("hex").slice(0, 16);
+}
+
+/**
+ * Lock provider backed by lock files, for processes sharing one machine.
+ *
+ * Lock providers implement acquire(key), resolving to a release function once
+ * the lock for key is held. loginToBullhorn holds the lock configured as
+ * config.lock around the refresh and full-login paths. A lock file older than
+ * staleMs is assumed to belong to a crashed process and is taken over.
+ */
+class FileLock {
+  /**
+   * @param {Object} [options] - Lock options
+   * @param {string} [options.dir=os.tmpdir()] - Directory for lock files
+   * @param {number} [options.staleMs=120000] - Age after which a lock file is taken over; holders
+   *   refresh their lock file every staleMs / 3, so only abandoned locks get this old
+   * @param {number} [options.retryMs=100] - Delay between attempts while the lock is held
+   * @param {number} [options.timeoutMs=120000] - Give up waiting after this long
+   */
+  constructor(options = {}) {
+    this.dir = options.dir ?? require("os").tmpdir();
+    this.staleMs = options.staleMs ?? 120000;
+    this.retryMs = options.retryMs ?? 100;
+    this.timeoutMs = options.timeoutMs ?? 120000;
+  }
+
+  /**
+   * Wait for and take the lock for key
+   * @param {string} key - Lock key
+   * @param {Object} [options] - Acquire options
+   * @param {AbortSignal} [options.signal] - Stop waiting when aborted, rejecting with its reason
+   * @returns {Promise<Function>} Async function releasing the lock
+   * @throws {Error} When the lock is not acquired within timeoutMs
+   */
+  async acquire(key, options = {}) {
+    const fs = require("fs");
+    const path = require("path");
+    const crypto = require("crypto");
+    const name = crypto.createHash("sha256").update(String(key)).digest("hex").slice(0, 16);
+    const lockPath = path.join(this.dir, `bullhorn-auth-${name}.lock`);
+    const owner = `${process.pid}:${crypto.randomBytes(8).toString("hex")}`;
+    const started = Date.now();
+    let seenMtime;
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    for (;;) {
+      if (options.signal?.aborted) throw options.signal.reason;
+      try {
+        await fs.promises.writeFile(lockPath, owner, { flag: "wx", mode: 0o600 });
+        const heartbeat = setInterval(() => {
+          const now = new Date();
+          fs.promises.utimes(lockPath, now, now).catch(() => {});
+        }, Math.max(this.staleMs / 3, 1));
+        heartbeat.unref?.();
+        return async () => {
+          clearInterval(heartbeat);
+          const current = await fs.promises.readFile(lockPath, "utf8").catch(() => null);
+          if (current === owner) {
+            await fs.promises.rm(lockPath, { force: true });
+          }
+        };
+      } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+      }
+      // Stale only when the holder stopped refreshing it: too old, and unchanged since the last look
+      const stat = await fs.promises.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > this.staleMs && stat.mtimeMs === seenMtime) {
+        seenMtime = undefined;
+        if (await this._removeStale(lockPath, owner, stat.mtimeMs)) continue;
+      } else {
+        seenMtime = stat?.mtimeMs;
+      }
+      if (Date.now() - started >= this.timeoutMs) {
+        throw new Error(`Timed out after ${this.timeoutMs}ms waiting for login lock ${lockPath}`);
+      }
+      await sleep(this.retryMs, options.signal);
+    }
+  }
+
+  /**
+   * Remove a stale lock file without ever removing a live one. Another waiter that saw the
+   * same stale file may already have replaced it with its own lock, so the file is first
+   * renamed to a name only this waiter uses (an atomic step that exactly one waiter wins for
+   * any given file) and checked there: a stale file is deleted, a live lock is linked back,
+   * which never replaces a lock file created in the meantime. When a lock was created in the
+   * meantime the moved file is left in place, since deleting it would drop the live lock for good.
+   * @private
+   * @param {string} lockPath - Lock file path
+   * @param {string} owner - Owner string of this waiter, unique per acquire
+   * @param {number} mtimeMs - Modification time the stale file was seen with
+   * @returns {Promise<boolean>} Whether the path is free to be taken again
+   */
+  async _removeStale(lockPath, owner, mtimeMs) {
+    const fs = require("fs");
+    const moved = `${lockPath}.${owner.replace(/\W/g, "-")}.stale`;
+    try {
+      await fs.promises.rename(lockPath, moved);
+    } catch (error) {
+      if (error.code === "ENOENT") return true;
+      throw error;
+    }
+    const stat = await fs.promises.stat(moved);
+    if (stat.mtimeMs !== mtimeMs || Date.now() - stat.mtimeMs <= this.staleMs) {
+      try {
+        await fs.promises.link(moved, lockPath);
+      } catch (error) {
+        if (error.code === "EEXIST") return false;
+        throw error;
+      }
+    }
+    await fs.promises.rm(moved, { force: true });
+    return true;
+  }
+}
+
+/**
+ * Audit sink appending every entry as one JSON line to a file.
+ *
+ * Audit sinks implement write(entry); loginToBullhorn hands every sink configured
+ * as config.audit one entry per login attempt. The file is only ever appended to,
+ * is created with mode 0600 (missing directories with mode 0700), and entries are
+ * written in the order they were recorded.
+ */
+class JsonLinesAuditSink {
+  /**
+   * @param {string} filePath - Path of the audit log
+   * @param {Object} [options] - Sink options
+   * @param {number} [options.mode=0o600] - File mode when the file is created
+   */
+  constructor(filePath, options = {}) {
+    if (!filePath || typeof filePath !== 'string') {
+      throw new Error("filePath must be a non-empty string");
+    }
+    this.filePath = require("path").resolve(filePath);
+    this.mode = options.mode ?? 0o600;
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Append one entry
+   * @param {Object} entry - Audit entry
+   * @returns {Promise<void>} Resolves once the line is written
+   */
+  write(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    const written = this._queue.then(async () => {
+      const fs = require("fs");
+      await fs.promises.mkdir(require("path").dirname(this.filePath), { recursive: true, mode: 0o700 });
+      await fs.promises.appendFile(this.filePath, line, { mode: this.mode, flag: "a" });
+    });
+    this._queue = written.catch(() => {});
+    return written;
+  }
+}
+
+/**
+ * Audit sink raising an alert when the full (username/password) login path is used more
+ * than max times within windowMs. Attempts count whether or not they succeed. onAlert is
+ * called once when the rate is exceeded, and again only after the rate dropped back to max.
+ */
+class FullLoginRateAlert {
+  /**
+   * @param {Object} options - Alert options
+   * @param {number} options.max - Full logins allowed per window
+   * @param {number} [options.windowMs=3600000] - Sliding window length
+   * @param {Function} options.onAlert - Called with { count, max, windowMs, entry }
+   */
+  constructor(options = {}) {
+    if (!Number.isInteger(options.max) || options.max < 0) {
+      throw new Error("max must be a non-negative integer");
+    }
+    if (options.windowMs !== undefined && (!Number.isFinite(options.windowMs) || options.windowMs <= 0)) {
+      throw new Error("windowMs must be a positive number");
+    }
+    if (typeof options.onAlert !== 'function') {
+      throw new Error("onAlert must be a function");
+    }
+    this.max = options.max;
+    this.windowMs = options.windowMs ?? 3600000;
+    this.onAlert = options.onAlert;
+    this._times = [];
+    this._alerting = false;
+  }
+
+  /**
+   * Full logins recorded within the current window
+   * @returns {number} Count
+   */
+  get count() {
+    const since = Date.now() - this.windowMs;
+    this._times = this._times.filter((t) => t > since);
+    return this._times.length;
+  }
+
+  async write(entry) {
+    if (entry.method !== "full") return;
+    this._times.push(Date.now());
+    const count = this.count;
+    if (count <= this.max) {
+      this._alerting = false;
+      return;
+    }
+    if (this._alerting) return;
+    this._alerting = true;
+    await this.onAlert({ count, max: this.max, windowMs: this.windowMs, entry });
+  }
+}
+
+/**
+ * Login to Bullhorn using the most efficient path available.
+ * 
+ * Attempts authentication in order of efficiency:
+ * 1. Ping existing REST token if provided (fastest, no auth needed)
+ * 2. Use refresh token if available (avoids username/password)
+ * 3. Exchange access token for REST session (if access token provided)
+ * 4. Full OAuth2 authentication flow (only when necessary)
+ * 
+ * @param {Object} params - Authentication parameters
+ * @param {Object|Function} [params.credentials] - OAuth2 credentials, or a provider (see credentialsChain) called whenever a new session is needed
+ * @param {string} [params.credentials.clientId] - OAuth2 client ID
+ * @param {string} [params.credentials.clientSecret] - OAuth2 client secret
+ * @param {string} [params.credentials.username] - Bullhorn username
+ * @param {string} [params.credentials.password] - Bullhorn password
+ * @param {Object} [params.tokens] - Existing tokens to validate/use
+ * @param {string} [params.tokens.restUrl] - REST API URL
+ * @param {string} [params.tokens.restToken] - REST API token
+ * @param {string} [params.tokens.refreshToken] - OAuth2 refresh token
+ * @param {string} [params.tokens.accessToken] - OAuth2 access token
+ * @param {Object} [config] - Configuration options
+ * @param {number} [config.minRemainingThreshold=100] - Min requests/minute before re-auth
+ * @param {number} [config.ttlDays=30] - Token TTL in days
+ * @param {Object} [config.http] - HTTP client configuration
+ * @param {Object} [config.tokenStore] - Store whose tokens are loaded before and saved after login
+ * @param {Object} [config.lock] - Lock provider held around the refresh and full-login paths
+ * @param {Object} [config.events] - EventEmitter receiving step:start, step:end, retry, fallback, login:success and login:failure
+ * @param {Object} [config.logger] - Logger (debug/info/warn/error) receiving the same events with secrets redacted
+ * @param {Object|Object[]} [config.audit] - Audit sink(s) whose write(entry) records every login attempt, without secrets
+ * @param {Object} [config.endpoints] - loginInfo URL, oauthUrl/restUrl overrides and loginInfo cache
+ * @param {Object} [config.interactive] - Browser login (redirectUri, onAuthorizeUrl/getCallbackUrl) instead of username/password
+ * @param {AbortSignal} [config.signal] - Aborts the login, including retry and rate-limit waits
+ * @param {number} [config.deadlineMs] - Overall time budget for the login, across all steps and retries
+ * @returns {Promise<Object>} Authentication result with tokens and method used
+ * @throws {Error} When insufficient credentials are provided
+ * @throws {TimeoutError} When deadlineMs runs out (an aborted signal rejects with its reason)
+ * @throws {BullhornAuthError} When the last authentication path fails (see the exported subclasses)
+ */
+async function loginToBullhorn(params, config = {}) {
+  // Validate inputs
+  if (!params || typeof params !== 'object') {
+    throw new Error("params must be an object with credentials and/or tokens");
+  }
+  if (params.credentials !== undefined && typeof params.credentials !== 'object' && typeof params.credentials !== 'function') {
+    throw new Error("credentials must be an object or a credentials provider function");
+  }
+  
+  const httpOpts = {
+    ...createHttpOptions(config.http || {}),
+    endpoints: createEndpointOptions(config.endpoints || {}),
+    interactive: config.interactive ? createInteractiveOptions(config.interactive) : null,
+    notify: createNotifier(config)
+  };
+  const audit = createAuditor(config, httpOpts.notify);
+  
+  const threshold = Number(config.minRemainingThreshold ?? 100);
+  if (!Number.isFinite(threshold) || threshold < 0) {
+    throw new Error("minRemainingThreshold must be a non-negative number");
+  }
+  
+  const ttlDays = Number(config.ttlDays ?? 30);
+  if (!Number.isFinite(ttlDays) || ttlDays <= 0) {
+    throw new Error("ttlDays must be a positive number");
+  }
+
+  const store = config.tokenStore;
+  if (store && (typeof store.load !== 'function' || typeof store.save !== 'function')) {
+    throw new Error("tokenStore must implement load() and save()");
+  }
+
+  const lock = config.lock;
+  if (lock && typeof lock.acquire !== 'function') {
+    throw new Error("lock must implement acquire(key)");
+  }
+
+  checkAbortOptions(config);
+
+  const scope = createAbortScope(config.signal, config.deadlineMs);
+  httpOpts.signal = scope.signal;
+  // Who is logging in and the last path tried, filled in by runLogin and runStep for the audit entry
+  httpOpts.attempt = {
+    username: typeof params.credentials === 'object' ? params.credentials?.username : undefined,
+    clientId: typeof params.credentials === 'object' ? params.credentials?.clientId : undefined,
+    method: null
+  };
+  const started = Date.now();
+  try {
+    const result = await runLogin(params, httpOpts, store, lock, threshold, ttlDays);
+    if (httpOpts.notify) {
+      httpOpts.notify("login:success", { method: result.method, durationMs: Date.now() - started });
+    }
+    if (audit) {
+      await audit(auditEntry(httpOpts.attempt, started, {
+        outcome: "success",
+        method: result.method,
+        userId: result.userId,
+        corporationId: result.corporationId
+      }));
+    }
+    return result;
+  } catch (error) {
+    if (audit) {
+      await audit(auditEntry(httpOpts.attempt, started, {
+        outcome: "failure",
+        method: httpOpts.attempt.method,
+        step: error.step,
+        reason: error.reason,
+        status: error.status,
+        errorName: error.name,
+        error: redact(String(error.message))
+      }));
+    }
+    if (httpOpts.notify) {
+      httpOpts.notify("login:failure", {
+        error: error.message,
+        errorName: error.name,
+        step: error.step,
+        reason: error.reason,
+        status: error.status,
+        durationMs: Date.now() - started
+      });
+    }
+    throw error;
+  } finally {
+    scope.dispose();
+  }
+}
+
+/**
+ * Build an audit entry from whitelisted fields only, so no token or credential secret can reach a sink
+ * @private
+ * @param {Object} attempt - username, clientId and last attempted method
+ * @param {number} started - Start of the login (ms since epoch)
+ * @param {Object} fields - outcome, method and outcome-specific fields
+ * @returns {Object} Audit entry; undefined fields are left out
+ */
+function auditEntry(attempt, started, fields) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    event: "login",
+    username: attempt.username,
+    clientId: attempt.clientId,
+    ...fields,
+    durationMs: Date.now() - started,
+    ...auditOrigin()
+  };
+  Object.keys(entry).forEach((k) => {
+    if (entry[k] === undefined) delete entry[k];
+  });
+  return entry;
+}
+
+/**
+ * Validate config.signal and config.deadlineMs
+ * @private
+ * @param {Object} config - loginToBullhorn or step function configuration
+ * @throws {Error} When either is invalid
+ */
+function checkAbortOptions(config) {
+  if (config.signal !== undefined && (typeof config.signal?.addEventListener !== 'function' || !('aborted' in config.signal))) {
+    throw new Error("signal must be an AbortSignal");
+  }
+  if (config.deadlineMs !== undefined && (!Number.isFinite(config.deadlineMs) || config.deadlineMs <= 0)) {
+    throw new Error("deadlineMs must be a positive number");
+  }
+}
+
+/**
+ * Load stored tokens, pick a login path (under the lock when configured) and save the result
+ * @private
+ * @param {Object} params - loginToBullhorn params
+ * @param {Object} httpOpts - HTTP options
+ * @param {Object} [store] - Token store
+ * @param {Object} [lock] - Lock provider
+ * @param {number} threshold - Min requests/minute before re-auth
+ * @param {number} ttlDays - Token TTL in days
+ * @returns {Promise<Object>} Authentication result with tokens and method used
+ */
+async function runLogin(params, httpOpts, store, lock, threshold, ttlDays) {
+  // Previously stored tokens win over params.tokens: they were issued by the most recent login,
+  // and refresh tokens rotate, so an older refresh token from params would no longer work.
+  const stored = store ? await store.load() : null;
+  const tokens = mergeTokens(params.tokens ?? {}, pickTokens(stored ?? {}));
+
+  const failures = {};
+  const existing = await tryExisting(httpOpts, tokens, threshold, failures);
+  if (existing) {
+    if (store && stored?.restToken !== existing.restToken) {
+      await store.save(pickTokens(existing));
+    }
+    return existing;
+  }
+
+  // Providers are only consulted once the existing session is unusable, and on every such
+  // login, so rotated passwords take effect without a restart
+  const creds = await resolveCredentials(params.credentials, httpOpts.signal);
+  if (httpOpts.attempt) {
+    httpOpts.attempt.username = creds?.username ?? httpOpts.attempt.username;
+    httpOpts.attempt.clientId = creds?.clientId ?? httpOpts.attempt.clientId;
+  }
+
+  if (!lock) {
+    const result = await renew(httpOpts, creds, tokens, ttlDays, failures);
+    if (store) {
+      await store.save(pickTokens(result));
+    }
+    return result;
+  }
+
+  // Refresh tokens rotate, so only one process may use one at a time. Whoever waited
+  // for the lock re-reads the store first and reuses what the lock holder obtained.
+  return withLock(lock, loginLockKey(creds, tokens), httpOpts.signal, async () => {
+    const fresh = store ? pickTokens((await store.load()) ?? {}) : {};
+    const latest = mergeTokens(tokens, fresh);
+    if (fresh.restToken && fresh.restToken !== tokens.restToken) {
+      const reused = await tryExisting(httpOpts, latest, threshold, failures);
+      if (reused) return reused;
+    }
+    const result = await renew(httpOpts, creds, latest, ttlDays, failures);
+    if (store) {
+      await store.save(pickTokens(result));
+    }
+    return result;
+  });
+}
+
+/**
+ * Run fn while holding the lock for key
+ * @private
+ * @param {Object} lock - Lock provider
+ * @param {string} key - Lock key
+ * @param {AbortSignal|null} signal - Stops waiting for the lock when aborted
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Result of fn
+ */
+async function withLock(lock, key, signal, fn) {
+  const release = await lock.acquire(key, signal ? { signal } : undefined);
+  try {
+    return await fn();
+  } finally {
+    await release();
+  }
+}
+
+/**
+ * Lock key shared by every process logging in as the same API user
+ * @private
+ * @param {Object} [creds] - OAuth2 credentials
+ * @param {Object} tokens - Existing tokens
+ * @returns {string} Lock key
+ */
+function loginLockKey(creds, tokens) {
+  return `bullhorn-auth:${creds?.username ?? creds?.clientId ?? tokens.restUrl ?? "default"}`;
+}
+
+/**
+ * Treat a Bullhorn failure as "this path did not work" so the next path can run;
+ * anything else (e.g. a bug) is rethrown, and so is everything once the login was aborted
+ * @private
+ * @param {Error} error - Error from a step
+ * @param {Object} httpOpts - HTTP options
+ * @returns {null}
+ */
+function swallowAuthError(error, httpOpts) {
+  if (httpOpts.signal?.aborted) throw httpOpts.signal.reason;
+  if (error instanceof BullhornAuthError) return null;
+  throw error;
+}
+
+/**
+ * Reuse an existing REST token when ping accepts it and enough rate limit remains
+ * @private
+ * @param {Object} httpOpts - HTTP options
+ * @param {Object} tokens - Existing tokens to validate/use
+ * @param {number} threshold - Min requests/minute before re-auth
+ * @param {Object} failures - Records the last swallowed step error as failures.last
+ * @returns {Promise<Object|null>} Authentication result, or null when the token cannot be reused
+ */
+async function tryExisting(httpOpts, tokens, threshold, failures) {
+  if (!tokens.restToken || !tokens.restUrl) return null;
+
+  // Skip the ping when the answer is already known: the token has expired, or it was confirmed
+  // moments ago, has plenty of life left and the rate limiter knows the budget is above the threshold
+  const expiresAt = tokens.restTokenExpiresAt;
+  if (Number.isFinite(expiresAt) && expiresAt <= Date.now()) {
+    reportFallback(httpOpts, "existing", null, `restToken expired at ${new Date(expiresAt).toISOString()}`);
+    return null;
+  }
+  const budget = httpOpts.rateLimiter?.getRateLimitStatus?.();
+  if (Number.isFinite(expiresAt) && expiresAt - Date.now() > EXPIRY_MARGIN_MS &&
+      Number.isFinite(tokens.verifiedAt) && Date.now() - tokens.verifiedAt < VERIFIED_TRUST_MS &&
+      typeof budget?.remaining === "number" && budget.remaining > threshold) {
+    return { ...pickTokens(tokens), minRemaining: String(budget.remaining), method: "existing" };
+  }
+
+  const pingResult = await runStep(httpOpts, "ping", "existing", () => restPing(httpOpts, tokens.restUrl, tokens.restToken))
+    .catch((error) => {
+      failures.last = error;
+      return swallowAuthError(error, httpOpts);
+    });
+  if (!pingResult) {
+    reportFallback(httpOpts, "existing", failures.last);
+    return null;
+  }
+  const remaining = parseInt(pingResult.minRemaining ?? "0", 10);
+  if (!Number.isFinite(remaining) || remaining <= threshold) {
+    reportFallback(httpOpts, "existing", null, `rate limit remaining ${pingResult.minRemaining ?? "unknown"} is not above ${threshold}`);
+    return null;
+  }
+  return {
+    ...pickTokens(tokens),
+    verifiedAt: Date.now(),
+    minRemaining: String(pingResult.minRemaining ?? ""),
+    method: "existing"
+  };
+}
+
+/**
+ * Report that a login path did not work and the next one will be tried
+ * @private
+ * @param {Object} httpOpts - HTTP options
+ * @param {string} from - Path that did not work
+ * @param {Error|null} error - Failure of that path, if any
+ * @param {string} [reason] - Reason when there was no error
+ */
+function reportFallback(httpOpts, from, error, reason) {
+  if (!httpOpts.notify) return;
+  httpOpts.notify("fallback", {
+    from,
+    reason: reason ?? error?.message,
+    step: error?.step,
+    status: error?.status,
+    errorName: error?.name
+  });
+}
+
+/**
+ * Resolve the OAuth and REST URLs for a login path: configured overrides first, then the
+ * loginInfo cache, then a loginInfo request whose result is cached
+ * @private
+ * @param {Object} httpOpts - HTTP options
+ * @param {string} [username] - Bullhorn username
+ * @param {string} method - Login path, reported on step events
+ * @returns {Promise<Object>} OAuth and REST URLs
+ */
+async function discoverEndpoints(httpOpts, username, method) {
+  const endpoints = httpOpts.endpoints ?? createEndpointOptions();
+  if (endpoints.oauthUrl && endpoints.restUrl) {
+    return { oauthUrl: endpoints.oauthUrl, restUrl: endpoints.restUrl };
+  }
+
+  const cache = endpoints.loginInfoCache;
+  const cacheKey = `${endpoints.loginInfoUrl}|${username}`;
+  let info = cache?.get(cacheKey);
+  if (info && !(info.expiresAt > Date.now())) {
+    cache.delete(cacheKey);
+    info = null;
+  }
+  if (!info) {
+    const fetched = await runStep(httpOpts, "loginInfo", method, () => loginInfo(httpOpts, username));
+    info = {
+      oauthUrl: fetched.oauthUrl,
+      restUrl: fetched.restUrl,
+      expiresAt: Date.now() + endpoints.loginInfoCacheTtlMs
+    };
+    if (cache) cache.set(cacheKey, info);
+  }
+  return {
+    oauthUrl: endpoints.oauthUrl ?? info.oauthUrl,
+    restUrl: endpoints.restUrl ?? info.restUrl
+  };
+}
+
+/**
+ * Absolute expiry of an access token from the expires_in of the token response
+ * @private
+ * @param {number} issuedAt - Epoch ms just before the token request was sent
+ * @param {number} [expiresIn] - Lifetime in seconds
+ * @returns {number|undefined} Epoch ms, or undefined when Bullhorn sent no lifetime
+ */
+function accessTokenExpiry(issuedAt, expiresIn) {
+  const seconds = Number(expiresIn);
+  return expiresIn !== undefined && Number.isFinite(seconds) ? issuedAt + seconds * 1000 : undefined;
+}
+
+/**
+ * Expiry and identity fields of a new REST session. Times are measured from before
+ * the requests were sent, so they err on the early side.
+ * @private
+ * @param {number} issuedAt - Epoch ms when the login path started
+ * @param {number} ttlDays - REST session TTL in days, as sent to step3
+ * @param {Object} restLogin - step3 result
+ * @param {number} [accessTokenExpiresAt] - Epoch ms when the access token expires
+ * @returns {Object} issuedAt, accessTokenExpiresAt, restTokenExpiresAt, verifiedAt, userId, corporationId
+ */
+function sessionMetadata(issuedAt, ttlDays, restLogin, accessTokenExpiresAt) {
+  return pickTokens({
+    issuedAt,
+    accessTokenExpiresAt,
+    restTokenExpiresAt: issuedAt + ttlDays * DAY_MS,
+    verifiedAt: Date.now(),
+    userId: restLogin.userId,
+    corporationId: restLogin.corporationId
+  });
+}
+
+/**
+ * Obtain a new REST session through the first of refresh, access token or full login that works
+ * @private
+ * @param {Object} httpOpts - HTTP options
+ * @param {Object} [creds] - OAuth2 credentials
+ * @param {Object} tokens - Existing tokens to use
+ * @param {number} ttlDays - Token TTL in days
+ * @param {Object} failures - Records the last swallowed step error as failures.last
+ * @returns {Promise<Object>} Authentication result with tokens and method used
+ */
+async function renew(httpOpts, creds, tokens, ttlDays, failures) {
+  const recordFailure = (error) => {
+    failures.last = error;
+    return swallowAuthError(error, httpOpts);
+  };
+
+  // Discovery can be skipped entirely when both URLs are configured
+  const endpointsKnown = Boolean(httpOpts.endpoints?.oauthUrl && httpOpts.endpoints?.restUrl);
+
+  // If refresh is possible, we need oauth/rest URLs first (configured, cached or loginInfo)
+  if (tokens.refreshToken && creds?.clientId && creds?.clientSecret && (creds?.username || endpointsKnown)) {
+    const { oauthUrl, restUrl } = await discoverEndpoints(httpOpts, creds.username, "refresh");
+    const issuedAt = Date.now();
+    const r0 = await runStep(httpOpts, "step0", "refresh",
+      () => step0(httpOpts, oauthUrl, tokens.refreshToken, creds.clientId, creds.clientSecret)).catch(recordFailure);
+    if (r0) {
+      const r3 = await runStep(httpOpts, "step3", "refresh", () => step3(httpOpts, restUrl, r0.accessToken, ttlDays));
+      return {
+        restUrl: r3.restUrl,
+        restToken: r3.restToken,
+        refreshToken: r0.refreshToken,
+        accessToken: r0.accessToken,
+        ...sessionMetadata(issuedAt, ttlDays, r3, accessTokenExpiry(issuedAt, r0.expiresIn)),
+        method: "refresh"
+      };
+    }
+    // fall through to full login when refresh fails
+    reportFallback(httpOpts, "refresh", failures.last);
+  }
+
+  // An access token known to have expired would only fail step3
+  const accessTokenExpired = Number.isFinite(tokens.accessTokenExpiresAt) && tokens.accessTokenExpiresAt <= Date.now();
+  if (tokens.accessToken && accessTokenExpired) {
+    reportFallback(httpOpts, "access", null, `accessToken expired at ${new Date(tokens.accessTokenExpiresAt).toISOString()}`);
+  }
+
+  // Shortcut: if accessToken is provided, try to exchange it for a REST session
+  if (tokens.accessToken && !accessTokenExpired) {
+    // Prefer provided restUrl, then the configured one; otherwise derive from username via loginInfo
+    let restUrl = tokens.restUrl ?? httpOpts.endpoints?.restUrl;
+    if (!restUrl && creds?.username) {
+      const info = await discoverEndpoints(httpOpts, creds.username, "access");
+      restUrl = info.restUrl;
+    }
+    if (!restUrl) {
+      throw new Error("accessToken provided but restUrl (or credentials.username to derive it) is missing");
+    }
+    const issuedAt = Date.now();
+    const s3 = await runStep(httpOpts, "step3", "access", () => step3(httpOpts, restUrl, tokens.accessToken, ttlDays));
+    return {
+      restUrl: s3.restUrl,
+      restToken: s3.restToken,
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      ...sessionMetadata(issuedAt, ttlDays, s3, tokens.accessTokenExpiresAt),
+      method: "access"
+    };
+  }
+
+  // Interactive login replaces the password with the user's browser session
+  if (httpOpts.interactive && creds?.clientId && creds?.clientSecret && (creds?.username || endpointsKnown)) {
+    const { oauthUrl, restUrl } = await discoverEndpoints(httpOpts, creds.username, "interactive");
+    const issuedAt = Date.now();
+    const s1 = await runStep(httpOpts, "step1", "interactive", () => interactiveAuthorize(httpOpts, oauthUrl, creds.clientId));
+    const s2 = await runStep(httpOpts, "step2", "interactive",
+      () => step2(httpOpts, oauthUrl, creds.clientId, creds.clientSecret, s1.tmpAuthCode, s1.extraParams));
+    const s3 = await runStep(httpOpts, "step3", "interactive", () => step3(httpOpts, restUrl, s2.accessToken, ttlDays));
+    return {
+      restUrl: s3.restUrl,
+      restToken: s3.restToken,
+      refreshToken: s2.refreshToken,
+      accessToken: s2.accessToken,
+      ...sessionMetadata(issuedAt, ttlDays, s3, accessTokenExpiry(issuedAt, s2.expiresIn)),
+      method: "interactive"
+    };
+  }
+
+  // Full login requires full credentials
+  if (!creds || !creds.clientId || !creds.clientSecret || !creds.username || !creds.password) {
+    throw new Error(
+      "Insufficient input: provide either (restUrl+restToken) or (refreshToken+client creds) or full credentials",
+      failures.last ? { cause: failures.last } : undefined
+    );
+  }
+
+  const { oauthUrl, restUrl } = await discoverEndpoints(httpOpts, creds.username, "full");
+  const issuedAt = Date.now();
+  const s1 = await runStep(httpOpts, "step1", "full",
+    () => step1(httpOpts, oauthUrl, creds.clientId, creds.username, creds.password));
+  const s2 = await runStep(httpOpts, "step2", "full",
+    () => step2(httpOpts, oauthUrl, creds.clientId, creds.clientSecret, s1.tmpAuthCode));
+  const s3 = await runStep(httpOpts, "step3", "full", () => step3(httpOpts, restUrl, s2.accessToken, ttlDays));
+
+  return {
     restUrl: s3.restUrl,
     restToken: s3.restToken,
     refreshToken: s2.refreshToken,
     accessToken: s2.accessToken,
+    ...sessionMetadata(issuedAt, ttlDays, s3, accessTokenExpiry(issuedAt, s2.expiresIn)),
     method: "full"
   };
 }
 
-module.exports = { loginToBullhorn, credentialsFromEnv, tokensFromEnv };
+/**
+ * Run one exported step function with HTTP options, events and cancellation built from its config
+ * @private
+ * @param {Object} config - Step configuration: http, endpoints, interactive, events, logger, signal, deadlineMs
+ * @param {string} step - Step name reported on step events
+ * @param {Function} fn - async (httpOpts) => result
+ * @returns {Promise<*>} Result of fn
+ */
+async function runPublicStep(config, step, fn) {
+  if (!config || typeof config !== 'object') {
+    throw new Error("config must be an object");
+  }
+  const httpOpts = {
+    ...createHttpOptions(config.http || {}),
+    endpoints: createEndpointOptions(config.endpoints || {}),
+    interactive: config.interactive ? createInteractiveOptions(config.interactive) : null,
+    notify: createNotifier(config)
+  };
+  checkAbortOptions(config);
+  const scope = createAbortScope(config.signal, config.deadlineMs);
+  httpOpts.signal = scope.signal;
+  try {
+    return await runStep(httpOpts, step, null, () => fn(httpOpts));
+  } finally {
+    scope.dispose();
+  }
+}
+
+/**
+ * Check the required string arguments of an exported step function
+ * @private
+ * @param {Object} args - Step arguments
+ * @param {string[]} names - Required argument names
+ * @throws {Error} When one is missing or not a string
+ */
+function requireArgs(args, names) {
+  if (!args || typeof args !== 'object') {
+    throw new Error(`expected an object with ${names.join(", ")}`);
+  }
+  names.forEach((name) => {
+    if (!args[name] || typeof args[name] !== 'string') {
+      throw new Error(`${name} must be a non-empty string`);
+    }
+  });
+}
+
+/**
+ * Look up the OAuth and REST URLs for a username (the loginInfo step)
+ * @param {string} username - Bullhorn username
+ * @param {Object} [config] - http, endpoints.loginInfoUrl, events, logger, signal and deadlineMs
+ * @returns {Promise<Object>} { oauthUrl, restUrl }
+ * @throws {LoginInfoError} When Bullhorn does not return both URLs
+ */
+async function getLoginInfo(username, config = {}) {
+  const info = await runPublicStep(config, "loginInfo", (httpOpts) => loginInfo(httpOpts, username));
+  return { oauthUrl: info.oauthUrl, restUrl: info.restUrl };
+}
+
+/**
+ * Exchange a refresh token for a new access token and (rotated) refresh token (step0)
+ * @param {Object} args - Step arguments
+ * @param {string} args.oauthUrl - OAuth base URL, from getLoginInfo
+ * @param {string} args.refreshToken - Current refresh token; single-use
+ * @param {string} args.clientId - OAuth client ID
+ * @param {string} args.clientSecret - OAuth client secret
+ * @param {Object} [config] - http, events, logger, signal and deadlineMs
+ * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn, accessTokenExpiresAt }
+ * @throws {RefreshTokenExpiredError} When Bullhorn rejects the refresh token
+ */
+async function refreshAccessToken(args, config = {}) {
+  requireArgs(args, ["oauthUrl", "refreshToken", "clientId", "clientSecret"]);
+  const issuedAt = Date.now();
+  const r0 = await runPublicStep(config, "step0",
+    (httpOpts) => step0(httpOpts, args.oauthUrl, args.refreshToken, args.clientId, args.clientSecret));
+  return tokenGrant(issuedAt, r0);
+}
+
+/**
+ * Obtain an authorization code (step1): headless with username and password, or in the
+ * user's browser when config.interactive is set
+ * @param {Object} args - Step arguments
+ * @param {string} args.oauthUrl - OAuth base URL, from getLoginInfo
+ * @param {string} args.clientId - OAuth client ID
+ * @param {string} [args.username] - Bullhorn username; required without config.interactive
+ * @param {string} [args.password] - Bullhorn password; required without config.interactive
+ * @param {Object} [config] - http, interactive, events, logger, signal and deadlineMs
+ * @returns {Promise<Object>} { code }, plus redirectUri and codeVerifier for interactive logins; pass them all to exchangeCode
+ * @throws {InvalidCredentialsError} When Bullhorn does not redirect with a code; see error.reason
+ */
+async function authorize(args, config = {}) {
+  requireArgs(args, config?.interactive ? ["oauthUrl", "clientId"] : ["oauthUrl", "clientId", "username", "password"]);
+  return runPublicStep(config, "step1", async (httpOpts) => {
+    if (httpOpts.interactive) {
+      const s1 = await interactiveAuthorize(httpOpts, args.oauthUrl, args.clientId);
+      const { redirect_uri: redirectUri, code_verifier: codeVerifier } = s1.extraParams;
+      return codeVerifier ? { code: s1.tmpAuthCode, redirectUri, codeVerifier } : { code: s1.tmpAuthCode, redirectUri };
+    }
+    const s1 = await step1(httpOpts, args.oauthUrl, args.clientId, args.username, args.password);
+    return { code: s1.tmpAuthCode };
+  });
+}
+
+/**
+ * Exchange an authorization code for an access token and refresh token (step2)
+ * @param {Object} args - Step arguments
+ * @param {string} args.oauthUrl - OAuth base URL, from getLoginInfo
+ * @param {string} args.clientId - OAuth client ID
+ * @param {string} args.clientSecret - OAuth client secret
+ * @param {string} args.code - Authorization code from authorize; single-use
+ * @param {string} [args.redirectUri] - Redirect URI the code was issued for
+ * @param {string} [args.codeVerifier] - PKCE code verifier
+ * @param {Object} [config] - http, events, logger, signal and deadlineMs
+ * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn, accessTokenExpiresAt }
+ * @throws {InvalidCredentialsError} When Bullhorn rejects the client credentials
+ */
+async function exchangeCode(args, config = {}) {
+  requireArgs(args, ["oauthUrl", "clientId", "clientSecret", "code"]);
+  const issuedAt = Date.now();
+  const r2 = await runPublicStep(config, "step2", (httpOpts) => step2(httpOpts, args.oauthUrl, args.clientId, args.clientSecret, args.code,
+    { redirect_uri: args.redirectUri, code_verifier: args.codeVerifier }));
+  return tokenGrant(issuedAt, r2);
+}
+
+/**
+ * Result of step0 or step2 without the response summary
+ * @private
+ * @param {number} issuedAt - Epoch ms just before the token request was sent
+ * @param {Object} result - step0 or step2 result
+ * @returns {Object} accessToken, refreshToken, expiresIn and accessTokenExpiresAt
+ */
+function tokenGrant(issuedAt, result) {
+  return {
+    accessToken: result.accessToken,
+    refreshToken: result.refreshToken,
+    expiresIn: result.expiresIn,
+    accessTokenExpiresAt: accessTokenExpiry(issuedAt, result.expiresIn)
+  };
+}
+
+/**
+ * Exchange an access token, however it was obtained, for a REST session (step3)
+ * @param {Object} args - Step arguments
+ * @param {string} args.restUrl - REST base URL, from getLoginInfo
+ * @param {string} args.accessToken - OAuth access token
+ * @param {number} [args.ttlDays=30] - REST session TTL in days
+ * @param {Object} [config] - http, events, logger, signal and deadlineMs
+ * @returns {Promise<Object>} { restUrl, restToken, issuedAt, restTokenExpiresAt, userId, corporationId }
+ * @throws {BullhornAuthError} When Bullhorn rejects the access token
+ */
+async function restLogin(args, config = {}) {
+  requireArgs(args, ["restUrl", "accessToken"]);
+  const ttlDays = args.ttlDays ?? 30;
+  if (!Number.isFinite(ttlDays) || ttlDays <= 0) {
+    throw new Error("ttlDays must be a positive number");
+  }
+  const issuedAt = Date.now();
+  const s3 = await runPublicStep(config, "step3", (httpOpts) => step3(httpOpts, args.restUrl, args.accessToken, ttlDays));
+  return { restUrl: s3.restUrl, restToken: s3.restToken, ...sessionMetadata(issuedAt, ttlDays, s3) };
+}
+
+/**
+ * Check that a REST session is alive and read the remaining per-minute budget
+ * @param {Object} args - Step arguments
+ * @param {string} args.restUrl - Session restUrl, as returned by restLogin
+ * @param {string} args.restToken - BhRestToken
+ * @param {Object} [config] - http, events, logger, signal and deadlineMs
+ * @returns {Promise<Object>} { minRemaining } (x-ratelimit-remaining-minute, or null when Bullhorn sent none)
+ * @throws {BullhornAuthError} When the token is rejected
+ */
+async function ping(args, config = {}) {
+  requireArgs(args, ["restUrl", "restToken"]);
+  const result = await runPublicStep(config, "ping", (httpOpts) => restPing(httpOpts, args.restUrl, args.restToken));
+  return { minRemaining: result.minRemaining ?? null };
+}
+
+/**
+ * End a REST session and forget its tokens. Safe to call with an expired session or none at all.
+ * Bullhorn has no endpoint to revoke refresh tokens, so the refresh token is discarded locally:
+ * the token store is cleared even when the logout request fails.
+ * @param {Object} [args] - Session to end; defaults to the one in config.tokenStore
+ * @param {string} [args.restUrl] - Session restUrl
+ * @param {string} [args.restToken] - BhRestToken
+ * @param {Object} [config] - http, events, logger, signal, deadlineMs and tokenStore
+ * @returns {Promise<Object>} { loggedOut } - true when Bullhorn ended a live session
+ * @throws {BullhornAuthError} When the logout request fails for another reason than an expired session
+ */
+async function logout(args = {}, config = {}) {
+  if (!args || typeof args !== 'object') {
+    throw new Error("expected an object with restUrl and restToken");
+  }
+  const store = config?.tokenStore;
+  if (store && (typeof store.load !== 'function' || typeof store.save !== 'function')) {
+    throw new Error("tokenStore must implement load() and save()");
+  }
+  try {
+    const session = args.restToken ? args : (store ? (await store.load()) ?? {} : {});
+    if (!session.restUrl || !session.restToken) {
+      return { loggedOut: false };
+    }
+    const result = await runPublicStep(config, "logout", (httpOpts) => restLogout(httpOpts, session.restUrl, session.restToken));
+    return { loggedOut: result.loggedOut };
+  } finally {
+    if (store) {
+      await (typeof store.clear === "function" ? store.clear() : store.save({}));
+    }
+  }
+}
+
+/**
+ * Build an absolute REST URL from a path relative to restUrl plus query parameters
+ * @private
+ * @param {string} restUrl - REST API URL
+ * @param {string} resourcePath - Path relative to restUrl, e.g. "entity/Candidate/123"
+ * @param {Object} [query] - Query parameters; arrays are joined with commas
+ * @returns {string} Absolute URL
+ */
+function buildRestUrl(restUrl, resourcePath, query) {
+  if (!resourcePath || typeof resourcePath !== 'string') {
+    throw new Error("path must be a non-empty string");
+  }
+  // The BhRestToken header goes wherever this URL points, so it must stay inside restUrl
+  if (/^[a-z][a-z\d+.-]*:/i.test(resourcePath)) {
+    throw new Error("path must be relative to restUrl");
+  }
+  const base = new URL(restUrl.endsWith("/") ? restUrl : `${restUrl}/`);
+  const target = new URL(resourcePath.replace(/^\/+/, ""), base);
+  if (target.origin !== base.origin || !target.pathname.startsWith(base.pathname)) {
+    throw new Error("path must stay within restUrl");
+  }
+  Object.entries(query ?? {}).forEach(([k, v]) => {
+    if (v === undefined || v === null) return;
+    target.searchParams.set(k, Array.isArray(v) ? v.join(",") : String(v));
+  });
+  return target.toString();
+}
+
+/**
+ * Send one authenticated REST request using the BhRestToken header
+ * @private
+ * @param {Object} httpOpts - HTTP options
+ * @param {Object} auth - Authentication result with restUrl and restToken
+ * @param {string} method - HTTP method
+ * @param {string} resourcePath - Path relative to restUrl
+ * @param {Object} [options] - Request options
+ * @param {Object} [options.query] - Query parameters
+ * @param {*} [options.body] - JSON-serializable request body
+ * @returns {Promise<Response>} Raw response
+ */
+async function restRequest(httpOpts, auth, method, resourcePath, options = {}) {
+  const urlStr = buildRestUrl(auth.restUrl, resourcePath, options.query);
+  const headers = { BhRestToken: auth.restToken };
+  const init = { method: method.toUpperCase(), headers };
+  if (options.body !== undefined) {
+    headers["Content-Type"] = "application/json";
+    init.body = JSON.stringify(options.body);
+  }
+  return requestWithRetry(urlStr, init, httpOpts, "request");
+}
+
+/**
+ * Long-lived wrapper around loginToBullhorn.
+ *
+ * Caches the latest AuthResult, renews it shortly before the REST session TTL
+ * runs out (or after invalidate() is called on a 401), and makes concurrent
+ * callers share a single in-flight login. The session is an EventEmitter for the
+ * auth events unless config.events names another emitter.
+ */
+class BullhornSession extends EventEmitter {
+  /**
+   * @param {Object} params - Same shape as loginToBullhorn params
+   * @param {Object|Function} [params.credentials] - OAuth2 credentials or a provider, consulted on every renewal
+   * @param {Object} [params.tokens] - Existing tokens used for the first login
+   * @param {Object} [config] - loginToBullhorn configuration plus session options
+   * @param {number} [config.renewBeforeMs=300000] - Renew this long before the TTL expires
+   * @param {RateLimiter} [config.http.rateLimiter] - Shared limiter; a non-throttling one is created when omitted
+   * @param {Map|Object|false} [config.endpoints.loginInfoCache] - loginInfo cache; each session has its own Map unless false
+   */
+  constructor(params, config = {}) {
+    super();
+    if (!params || typeof params !== 'object') {
+      throw new Error("params must be an object with credentials and/or tokens");
+    }
+    const renewBeforeMs = Number(config.renewBeforeMs ?? 300000);
+    if (!Number.isFinite(renewBeforeMs) || renewBeforeMs < 0) {
+      throw new Error("renewBeforeMs must be a non-negative number");
+    }
+    this.credentials = params.credentials;
+    this.rateLimiter = config.http?.rateLimiter ?? new RateLimiter();
+    this.config = {
+      ...config,
+      events: config.events ?? this,
+      http: { ...config.http, rateLimiter: this.rateLimiter },
+      // Renewals log in as the same user again, so loginInfo only has to be asked once
+      endpoints: { ...config.endpoints, loginInfoCache: config.endpoints?.loginInfoCache ?? new Map() }
+    };
+    this.renewBeforeMs = renewBeforeMs;
+    this._tokens = { ...(params.tokens ?? {}) };
+    this._auth = null;
+    this._expiresAt = 0;
+    this._pending = null;
+    this._staleRestToken = undefined;
+    this._keepAlive = null;
+  }
+
+  /**
+   * Latest cached authentication result, or null before the first login
+   * @returns {Object|null}
+   */
+  get auth() {
+    return this._auth;
+  }
+
+  /**
+   * Epoch milliseconds at which the cached REST session is expected to expire
+   * @returns {number|null}
+   */
+  get expiresAt() {
+    return this._auth ? this._expiresAt : null;
+  }
+
+  /**
+   * Running keep-alive monitor, or null
+   * @returns {KeepAliveMonitor|null}
+   */
+  get keepAlive() {
+    return this._keepAlive;
+  }
+
+  /**
+   * Per-minute rate-limit state seen by this session's logins and requests
+   * @returns {Object} { limit, remaining, resetAt, updatedAt, queued }
+   */
+  getRateLimitStatus() {
+    return this.rateLimiter.getRateLimitStatus();
+  }
+
+  /**
+   * Return the cached result, logging in first when there is none or it is about to expire
+   * @returns {Promise<Object>} Authentication result
+   */
+  async getAuth() {
+    if (this._auth && Date.now() < this._expiresAt - this.renewBeforeMs) {
+      return this._auth;
+    }
+    if (this._auth) this.invalidate();
+    return this._login();
+  }
+
+  /**
+   * Discard the cached REST session and log in again
+   * @returns {Promise<Object>} Authentication result
+   */
+  refresh() {
+    this.invalidate();
+    return this._login();
+  }
+
+  /**
+   * Discard the cached REST session, e.g. after a 401. The refresh token is kept
+   * so the next login can use the refresh path.
+   * @param {string} [restToken] - Only invalidate if this is still the cached token
+   */
+  invalidate(restToken) {
+    if (!this._auth) return;
+    if (restToken !== undefined && restToken !== this._auth.restToken) return;
+    this._tokens = this._auth.refreshToken ? { refreshToken: this._auth.refreshToken } : {};
+    this._staleRestToken = this._auth.restToken;
+    this._auth = null;
+  }
+
+  /**
+   * End the REST session and discard every token, including the refresh token and the
+   * token store's contents. Safe to call when the session has already expired or never
+   * logged in. A later getAuth() needs credentials again.
+   * @returns {Promise<Object>} { loggedOut } - true when Bullhorn ended a live session
+   * @throws {BullhornAuthError} When the logout request fails; the tokens are discarded regardless
+   */
+  async logout() {
+    if (this._keepAlive) await this._keepAlive.stop();
+    if (this._pending) await this._pending.catch(() => {});
+    const auth = this._auth;
+    this._auth = null;
+    this._tokens = {};
+    this._staleRestToken = undefined;
+    this._expiresAt = 0;
+    return logout(auth ? { restUrl: auth.restUrl, restToken: auth.restToken } : {}, this.config);
+  }
+
+  /**
+   * Call the Bullhorn REST API with the session token. On a 401 the session
+   * logs in again and the call is retried once.
+   * @param {string} method - HTTP method, e.g. "GET" or "PUT"
+   * @param {string} resourcePath - Path relative to restUrl, e.g. "search/Candidate"
+   * @param {Object} [options] - Request options
+   * @param {Object} [options.query] - Query parameters; arrays are joined with commas
+   * @param {*} [options.body] - JSON-serializable request body
+   * @returns {Promise<*>} Parsed JSON response body (null for 204 responses)
+   * @throws {BullhornAuthError} When the response status is not 2xx
+   */
+  async request(method, resourcePath, options = {}) {
+    if (!method || typeof method !== 'string') {
+      throw new Error("method must be a non-empty string");
+    }
+    const httpOpts = { ...createHttpOptions(this.config.http || {}), notify: createNotifier(this.config) };
+    const send = (auth) => runStep(httpOpts, "request", null, () => restRequest(httpOpts, auth, method, resourcePath, options));
+    let auth = await this.getAuth();
+    let response = await send(auth);
+    if (response.status === 401) {
+      this.invalidate(auth.restToken);
+      auth = await this.getAuth();
+      response = await send(auth);
+    }
+    if (response.status < 200 || response.status >= 300) {
+      throw await errorFromResponse(response.status === 429 ? RateLimitedError : BullhornAuthError, "request", response);
+    }
+    return response.status === 204 ? null : response.json();
+  }
+
+  /**
+   * Ping the REST session in the background and log in again when it stops working
+   * or its per-minute quota runs low. The first check runs right away.
+   * @param {Object} [options] - Monitor options
+   * @param {number} [options.intervalMs=60000] - Time between the end of one check and the next
+   * @param {number} [options.minRemainingThreshold] - Log in again at or below this quota; default config.minRemainingThreshold or 100
+   * @returns {KeepAliveMonitor} Monitor with health() and stop()
+   * @throws {Error} When a keep-alive is already running for this session
+   */
+  startKeepAlive(options = {}) {
+    if (this._keepAlive) {
+      throw new Error("keep-alive is already running; stop() it first");
+    }
+    this._keepAlive = new KeepAliveMonitor(this, options);
+    return this._keepAlive;
+  }
+
+  // Stored tokens take precedence in loginToBullhorn, so a REST token this session
+  // has given up on must be removed from the store or it would simply be reused.
+  async _discardStoredToken(restToken) {
+    const store = this.config.tokenStore;
+    if (!store || !restToken) return;
+    const stored = await store.load();
+    if (stored?.restToken !== restToken) return;
+    const {
+      restToken: _restToken,
+      restTokenExpiresAt: _restTokenExpiresAt,
+      accessToken: _accessToken,
+      accessTokenExpiresAt: _accessTokenExpiresAt,
+      ...rest
+    } = stored;
+    await store.save(rest);
+  }
+
+  _login() {
+    if (!this._pending) {
+      this._pending = this._discardStoredToken(this._staleRestToken)
+        .then(() => loginToBullhorn({ credentials: this.credentials, tokens: this._tokens }, this.config))
+        .then((result) => {
+          this._staleRestToken = undefined;
+          const ttlDays = Number(this.config.ttlDays ?? 30);
+          this._auth = result;
+          this._expiresAt = result.restTokenExpiresAt ?? Date.now() + ttlDays * DAY_MS;
+          return result;
+        })
+        .finally(() => {
+          this._pending = null;
+        });
+    }
+    return this._pending;
+  }
+}
+
+/**
+ * Background health check started by BullhornSession#startKeepAlive.
+ *
+ * Each check renews the session when it is due, pings it, and logs in again after a
+ * 401 or when the remaining per-minute quota is at or below the threshold. Checks never
+ * overlap: the next one is scheduled intervalMs after the previous one finished. The
+ * timer is unref'd, so it does not keep the process alive on its own.
+ */
+class KeepAliveMonitor {
+  /**
+   * @param {BullhornSession} session - Session to keep alive
+   * @param {Object} [options] - See BullhornSession#startKeepAlive
+   */
+  constructor(session, options = {}) {
+    const intervalMs = options.intervalMs ?? 60000;
+    if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+      throw new Error("intervalMs must be a positive number");
+    }
+    const threshold = Number(options.minRemainingThreshold ?? session.config.minRemainingThreshold ?? 100);
+    if (!Number.isFinite(threshold) || threshold < 0) {
+      throw new Error("minRemainingThreshold must be a non-negative number");
+    }
+    this.session = session;
+    this.intervalMs = intervalMs;
+    this.minRemainingThreshold = threshold;
+    this._controller = new AbortController();
+    this._timer = null;
+    this._inFlight = null;
+    this._health = {
+      running: true,
+      status: "starting",
+      lastCheckAt: null,
+      lastPingAt: null,
+      lastPingStatus: null,
+      remaining: null,
+      lastLoginAt: null,
+      consecutiveFailures: 0,
+      lastError: null
+    };
+    this._schedule(0);
+  }
+
+  /**
+   * Snapshot for readiness endpoints. status is "starting" before the first check,
+   * "ok" after a successful one, "failing" after a failed one and "stopped" after stop().
+   * @returns {Object} { running, status, lastCheckAt, lastPingAt, lastPingStatus, remaining, lastLoginAt, consecutiveFailures, lastError, expiresAt }
+   */
+  health() {
+    return { ...this._health, expiresAt: this.session.expiresAt };
+  }
+
+  /**
+   * Stop checking. Cancels a ping in flight and resolves once the current check has finished.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this._health.running) {
+      this._health.running = false;
+      this._health.status = "stopped";
+      clearTimeout(this._timer);
+      this._timer = null;
+      this._controller.abort();
+      if (this.session._keepAlive === this) this.session._keepAlive = null;
+    }
+    await this._inFlight;
+  }
+
+  _schedule(delayMs) {
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._inFlight = this._check().finally(() => {
+        this._inFlight = null;
+        if (this._health.running) this._schedule(this.intervalMs);
+      });
+    }, delayMs);
+    this._timer.unref?.();
+  }
+
+  async _check() {
+    const session = this.session;
+    const health = this._health;
+    try {
+      const before = session.auth;
+      let auth = await session.getAuth();
+      if (auth === before) {
+        const pinged = await this._ping(auth);
+        if (!pinged) {
+          session.invalidate(auth.restToken);
+          auth = await session.getAuth();
+        } else if (Number.isFinite(health.remaining) && health.remaining <= this.minRemainingThreshold) {
+          auth = await session.refresh();
+        }
+      }
+      if (auth !== before) {
+        health.lastLoginAt = Date.now();
+        health.remaining = session.getRateLimitStatus().remaining ?? health.remaining;
+      }
+      if (!health.running) return;
+      health.status = "ok";
+      health.consecutiveFailures = 0;
+      health.lastError = null;
+    } catch (error) {
+      if (!health.running) return;
+      health.status = "failing";
+      health.consecutiveFailures += 1;
+      health.lastError = redact(error.message);
+    } finally {
+      health.lastCheckAt = Date.now();
+    }
+  }
+
+  // Resolves false when Bullhorn no longer accepts the token (401); other failures reject
+  async _ping(auth) {
+    const config = this.session.config;
+    const httpOpts = { ...createHttpOptions(config.http || {}), notify: createNotifier(config), signal: this._controller.signal };
+    const health = this._health;
+    try {
+      const result = await runStep(httpOpts, "ping", null, () => restPing(httpOpts, auth.restUrl, auth.restToken));
+      health.lastPingAt = Date.now();
+      health.lastPingStatus = result.raw.status;
+      const remaining = parseInt(result.minRemaining ?? "", 10);
+      health.remaining = Number.isFinite(remaining) ? remaining : null;
+      return true;
+    } catch (error) {
+      if (error.status === undefined) throw error;
+      health.lastPingAt = Date.now();
+      health.lastPingStatus = error.status;
+      if (error.status === 401) return false;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Map BH_<TENANT>_* variables to the unprefixed BH_* names credentialsFromEnv reads
+ * @private
+ * @param {Object} env - Environment variables object
+ * @param {string} prefix - Tenant prefix, e.g. "BH_ACME_"
+ * @returns {Object} Environment with only that tenant's variables, unprefixed
+ */
+function tenantEnv(env, prefix) {
+  const scoped = {};
+  Object.entries(env).forEach(([key, value]) => {
+    if (key.startsWith(prefix)) scoped[`BH_${key.slice(prefix.length)}`] = value;
+  });
+  return scoped;
+}
+
+/**
+ * Validate a tenant definition
+ * @private
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} tenant - Tenant definition
+ * @returns {Object} The tenant definition
+ */
+function checkTenant(tenantId, tenant) {
+  if (!tenantId || typeof tenantId !== 'string') {
+    throw new Error("tenantId must be a non-empty string");
+  }
+  if (!tenant || typeof tenant !== 'object' || (!tenant.credentials && !tenant.tokens)) {
+    throw new Error(`tenant ${tenantId} must have credentials and/or tokens`);
+  }
+  return tenant;
+}
+
+/**
+ * Sessions for many Bullhorn tenants (corporations or API users), keyed by tenant ID.
+ *
+ * Sessions are created on first use and evicted after idleTimeoutMs without use.
+ * Every tenant gets its own RateLimiter and, through tokenStoreFactory, its own
+ * token store; the tokens of an evicted session are kept for the next one.
+ */
+class BullhornClientManager {
+  /**
+   * @param {Object} [options] - Manager options
+   * @param {Object} [options.tenants] - Tenant definitions by ID: { credentials, tokens, config }
+   * @param {Function} [options.resolveTenant] - async (tenantId) => definition or null, for unlisted tenants
+   * @param {Object} [options.defaults] - Session config shared by all tenants (no tokenStore or rateLimiter)
+   * @param {Function} [options.tokenStoreFactory] - (tenantId) => token store for tenants without one
+   * @param {Object} [options.rateLimiter] - RateLimiter options for each tenant's own limiter
+   * @param {number} [options.idleTimeoutMs=1800000] - Evict sessions unused for this long; 0 disables eviction
+   */
+  constructor(options = {}) {
+    const defaults = options.defaults ?? {};
+    if (defaults.tokenStore || defaults.http?.rateLimiter) {
+      throw new Error("defaults must not share a tokenStore or rateLimiter between tenants; use tokenStoreFactory or rateLimiter options");
+    }
+    if (options.resolveTenant !== undefined && typeof options.resolveTenant !== 'function') {
+      throw new Error("resolveTenant must be a function");
+    }
+    if (options.tokenStoreFactory !== undefined && typeof options.tokenStoreFactory !== 'function') {
+      throw new Error("tokenStoreFactory must be a function");
+    }
+    const idleTimeoutMs = options.idleTimeoutMs ?? 1800000;
+    if (!Number.isFinite(idleTimeoutMs) || idleTimeoutMs < 0) {
+      throw new Error("idleTimeoutMs must be a non-negative number");
+    }
+    this.defaults = defaults;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this._resolveTenant = options.resolveTenant ?? null;
+    this._tokenStoreFactory = options.tokenStoreFactory ?? null;
+    this._rateLimiterOptions = options.rateLimiter ?? {};
+    this._tenants = new Map();
+    this._sessions = new Map();
+    this._pending = new Map();
+    this._sweeper = null;
+    Object.entries(options.tenants ?? {}).forEach(([tenantId, tenant]) => this.addTenant(tenantId, tenant));
+  }
+
+  /**
+   * Create a manager for every tenant with BH_<TENANT>_CLIENT_ID set, reading
+   * BH_<TENANT>_CLIENT_SECRET, _USERNAME, _PASSWORD and the optional token variables.
+   * Tenant IDs are the lower-cased <TENANT> part, e.g. BH_ACME_CLIENT_ID -> "acme".
+   * @param {Object} [env=process.env] - Environment variables object
+   * @param {Object} [options] - Manager options
+   * @returns {BullhornClientManager}
+   * @throws {Error} When a tenant's credentials are incomplete
+   */
+  static fromEnv(env = defaultEnv(), options = {}) {
+    const tenants = { ...options.tenants };
+    Object.keys(env).forEach((key) => {
+      const match = /^BH_([A-Z0-9_]+?)_CLIENT_ID$/.exec(key);
+      if (!match) return;
+      const prefix = `BH_${match[1]}_`;
+      const scoped = tenantEnv(env, prefix);
+      const credentials = credentialsFromEnv(scoped);
+      if (!credentials) {
+        throw new Error(`Incomplete credentials for tenant ${match[1].toLowerCase()}: set ${prefix}CLIENT_ID, ${prefix}CLIENT_SECRET, ${prefix}USERNAME and ${prefix}PASSWORD`);
+      }
+      tenants[match[1].toLowerCase()] = { credentials, tokens: tokensFromEnv(scoped) };
+    });
+    return new BullhornClientManager({ ...options, tenants });
+  }
+
+  /**
+   * Create a manager from a JSON file mapping tenant IDs to { credentials, tokens, config }
+   * @param {string} filePath - Path of the JSON file
+   * @param {Object} [options] - Manager options
+   * @returns {Promise<BullhornClientManager>}
+   */
+  static async fromFile(filePath, options = {}) {
+    const contents = await require("fs").promises.readFile(filePath, "utf8");
+    let tenants;
+    try {
+      tenants = JSON.parse(contents);
+    } catch (error) {
+      throw new Error(`Tenant config file ${filePath} is not valid JSON`, { cause: error });
+    }
+    if (!tenants || typeof tenants !== 'object' || Array.isArray(tenants)) {
+      throw new Error(`Tenant config file ${filePath} must contain an object keyed by tenant ID`);
+    }
+    return new BullhornClientManager({ ...options, tenants: { ...options.tenants, ...tenants } });
+  }
+
+  /**
+   * Register or replace a tenant. A cached session for it is evicted.
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} tenant - Tenant definition
+   * @param {Object} [tenant.credentials] - OAuth2 credentials
+   * @param {Object} [tenant.tokens] - Initial tokens
+   * @param {Object} [tenant.config] - Session config overriding the defaults
+   */
+  addTenant(tenantId, tenant) {
+    checkTenant(tenantId, tenant);
+    this.evict(tenantId);
+    this._tenants.set(tenantId, tenant);
+  }
+
+  /**
+   * IDs of the registered tenants (tenants found through resolveTenant included)
+   * @returns {string[]}
+   */
+  tenantIds() {
+    return [...this._tenants.keys()];
+  }
+
+  /**
+   * Return the tenant's session, creating it on first use
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<BullhornSession>}
+   * @throws {Error} When the tenant is unknown
+   */
+  async getSession(tenantId) {
+    const cached = this._sessions.get(tenantId);
+    if (cached) {
+      cached.lastUsed = Date.now();
+      return cached.session;
+    }
+    if (!this._pending.has(tenantId)) {
+      this._pending.set(tenantId, this._createSession(tenantId).finally(() => this._pending.delete(tenantId)));
+    }
+    return this._pending.get(tenantId);
+  }
+
+  /**
+   * Authentication result for the tenant (see BullhornSession#getAuth)
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>}
+   */
+  async getAuth(tenantId) {
+    return (await this.getSession(tenantId)).getAuth();
+  }
+
+  /**
+   * Call the REST API as the tenant (see BullhornSession#request)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} method - HTTP method
+   * @param {string} resourcePath - Path relative to restUrl
+   * @param {Object} [options] - { query, body }
+   * @returns {Promise<*>} Parsed JSON response body
+   */
+  async request(tenantId, method, resourcePath, options) {
+    return (await this.getSession(tenantId)).request(method, resourcePath, options);
+  }
+
+  /**
+   * Rate-limit state of the tenant's session, or null when it has none
+   * @param {string} tenantId - Tenant ID
+   * @returns {Object|null} { limit, remaining, resetAt, updatedAt, queued }
+   */
+  getRateLimitStatus(tenantId) {
+    return this._sessions.get(tenantId)?.session.getRateLimitStatus() ?? null;
+  }
+
+  /**
+   * Drop the tenant's cached session, keeping its latest tokens for the next one. Its
+   * keep-alive is stopped without waiting for a check in flight; close() waits for it.
+   * @param {string} tenantId - Tenant ID
+   * @returns {boolean} Whether a session was evicted
+   */
+  evict(tenantId) {
+    const cached = this._sessions.get(tenantId);
+    if (!cached) return false;
+    this._sessions.delete(tenantId);
+    cached.session.keepAlive?.stop();
+    const tenant = this._tenants.get(tenantId);
+    if (tenant && cached.session.auth) {
+      this._tenants.set(tenantId, { ...tenant, tokens: pickTokens(cached.session.auth) });
+    }
+    if (this._sessions.size === 0) this._stopSweeper();
+    return true;
+  }
+
+  /**
+   * Log the tenant out (see BullhornSession#logout) and forget its tokens; the tenant
+   * itself stays registered and logs in again from its credentials when next used
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} { loggedOut }
+   */
+  async logout(tenantId) {
+    const session = await this.getSession(tenantId);
+    const tenant = this._tenants.get(tenantId);
+    if (tenant) this._tenants.set(tenantId, { ...tenant, tokens: undefined });
+    this._sessions.delete(tenantId);
+    if (this._sessions.size === 0) this._stopSweeper();
+    return session.logout();
+  }
+
+  /**
+   * Evict every session unused for idleTimeoutMs
+   * @returns {string[]} IDs of the evicted tenants
+   */
+  evictIdle() {
+    if (!this.idleTimeoutMs) return [];
+    const cutoff = Date.now() - this.idleTimeoutMs;
+    const idle = [...this._sessions.entries()]
+      .filter(([, cached]) => cached.lastUsed <= cutoff)
+      .map(([tenantId]) => tenantId);
+    idle.forEach((tenantId) => this.evict(tenantId));
+    return idle;
+  }
+
+  /**
+   * Evict every session and stop the idle sweeper
+   * @returns {Promise<void>} Resolves once every keep-alive has stopped
+   */
+  async close() {
+    const monitors = [...this._sessions.values()].map(({ session }) => session.keepAlive).filter(Boolean);
+    [...this._sessions.keys()].forEach((tenantId) => this.evict(tenantId));
+    this._stopSweeper();
+    await Promise.all(monitors.map((monitor) => monitor.stop()));
+  }
+
+  async _createSession(tenantId) {
+    let tenant = this._tenants.get(tenantId);
+    if (!tenant && this._resolveTenant) {
+      const resolved = await this._resolveTenant(tenantId);
+      // A tenant added while resolving takes precedence over the resolved definition
+      tenant = this._tenants.get(tenantId);
+      if (!tenant && resolved) {
+        tenant = checkTenant(tenantId, resolved);
+        this._tenants.set(tenantId, tenant);
+      }
+    }
+    if (!tenant) {
+      throw new Error(`Unknown tenant: ${tenantId}`);
+    }
+    const tenantConfig = tenant.config ?? {};
+    const session = new BullhornSession({ credentials: tenant.credentials, tokens: tenant.tokens }, {
+      ...this.defaults,
+      ...tenantConfig,
+      tokenStore: tenantConfig.tokenStore ?? this._tokenStoreFactory?.(tenantId),
+      http: {
+        ...this.defaults.http,
+        ...tenantConfig.http,
+        rateLimiter: tenantConfig.http?.rateLimiter ?? new RateLimiter(this._rateLimiterOptions)
+      }
+    });
+    this._sessions.set(tenantId, { session, lastUsed: Date.now() });
+    this._startSweeper();
+    return session;
+  }
+
+  _startSweeper() {
+    if (this._sweeper || !this.idleTimeoutMs) return;
+    this._sweeper = setInterval(() => this.evictIdle(), Math.max(1000, Math.floor(this.idleTimeoutMs / 2)));
+    this._sweeper.unref?.();
+  }
+
+  _stopSweeper() {
+    clearInterval(this._sweeper);
+    this._sweeper = null;
+  }
+}
+
+/**
+ * Create a local mock Bullhorn server for tests and offline development. The
+ * server lives in mock-server.js and is only loaded when this is called.
+ * @param {Object} [options] - Accepted credentials, token lifetimes and rate limit
+ * @returns {MockBullhornServer} Server, not yet listening
+ */
+function createMockBullhornServer(options) {
+  return require("./mock-server").createMockBullhornServer(options);
+}
+
+module.exports = {
+  loginToBullhorn,
+  credentialsFromEnv,
+  tokensFromEnv,
+  configFromEnv,
+  envCredentials,
+  secretFileCredentials,
+  fileCredentials,
+  credentialsChain,
+  getLoginInfo,
+  refreshAccessToken,
+  authorize,
+  exchangeCode,
+  restLogin,
+  ping,
+  logout,
+  BullhornSession,
+  BullhornClientManager,
+  MemoryTokenStore,
+  FileTokenStore,
+  EncryptedFileTokenStore,
+  FileLock,
+  JsonLinesAuditSink,
+  FullLoginRateAlert,
+  RateLimiter,
+  BullhornAuthError,
+  InvalidCredentialsError,
+  RefreshTokenExpiredError,
+  RateLimitedError,
+  LoginInfoError,
+  TimeoutError,
+  redact,
+  createMockBullhornServer
+};
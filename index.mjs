@@ -1,3 +1,36 @@
 import cjs from './index.js';
-export const { loginToBullhorn, credentialsFromEnv, tokensFromEnv } = cjs;
+export const {
+  loginToBullhorn,
+  credentialsFromEnv,
+  tokensFromEnv,
+  configFromEnv,
+  envCredentials,
+  secretFileCredentials,
+  fileCredentials,
+  credentialsChain,
+  getLoginInfo,
+  refreshAccessToken,
+  authorize,
+  exchangeCode,
+  restLogin,
+  ping,
+  logout,
+  BullhornSession,
+  BullhornClientManager,
+  MemoryTokenStore,
+  FileTokenStore,
+  EncryptedFileTokenStore,
+  FileLock,
+  JsonLinesAuditSink,
+  FullLoginRateAlert,
+  RateLimiter,
+  BullhornAuthError,
+  InvalidCredentialsError,
+  RefreshTokenExpiredError,
+  RateLimitedError,
+  LoginInfoError,
+  TimeoutError,
+  redact,
+  createMockBullhornServer
+} = cjs;
 export default cjs;
@@ -1,8 +1,58 @@
-const { loginToBullhorn } = require('./index.js');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loginToBullhorn,
+  envCredentials,
+  secretFileCredentials,
+  fileCredentials,
+  credentialsChain,
+  getLoginInfo,
+  refreshAccessToken,
+  authorize,
+  exchangeCode,
+  restLogin,
+  ping,
+  logout,
+  BullhornSession,
+  BullhornClientManager,
+  MemoryTokenStore,
+  FileTokenStore,
+  EncryptedFileTokenStore,
+  FileLock,
+  JsonLinesAuditSink,
+  FullLoginRateAlert,
+  RateLimiter,
+  BullhornAuthError,
+  InvalidCredentialsError,
+  RefreshTokenExpiredError,
+  RateLimitedError,
+  LoginInfoError,
+  TimeoutError,
+  configFromEnv,
+  redact,
+  createMockBullhornServer
+} = require('./index.js');
+const { EventEmitter } = require('events');
 
 // These are smoke tests that validate branching without calling Bullhorn.
 // We mock fetch to avoid network activity.
 
+function setupFetchSequence(responses) {
+  let i = 0;
+  global.fetch = jest.fn().mockImplementation(async () => {
+    const r = responses[i++] || responses[responses.length - 1];
+    // emulate minimal Response interface
+    return {
+      status: r.status || 200,
+      statusText: r.statusText || 'OK',
+      headers: new Map(Object.entries(r.headers || {})),
+      json: async () => r.json,
+      clone: function() { return { json: async () => r.json }; }
+    };
+  });
+}
+
 describe('bullhorn-auth-client flow selection', () => {
   const realFetch = global.fetch;
 
@@ -16,21 +66,6 @@ describe('bullhorn-auth-client flow selection', () => {
     jest.resetAllMocks();
   });
 
-  function setupFetchSequence(responses) {
-    let i = 0;
-    global.fetch = jest.fn().mockImplementation(async () => {
-      const r = responses[i++] || responses[responses.length - 1];
-      // emulate minimal Response interface
-      return {
-        status: r.status || 200,
-        statusText: r.statusText || 'OK',
-        headers: new Map(Object.entries(r.headers || {})),
-        json: async () => r.json,
-        clone: function() { return { json: async () => r.json }; }
-      };
-    });
-  }
-
   test('uses existing token when ping above threshold', async () => {
     setupFetchSequence([
       { status: 200, headers: { 'x-ratelimit-remaining-minute': '500' }, json: {} }
@@ -142,6 +177,142 @@ describe('bullhorn-auth-client flow selection', () => {
       expect(res.refreshToken).toBe('NEW_R');
     });
 
+    test('step1 without a redirect raises InvalidCredentialsError', async () => {
+      setupFetchSequence([
+        { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+        { status: 200, json: {} } // login page instead of a 302
+      ]);
+      const error = await loginToBullhorn({ credentials: { clientId: 'id', clientSecret: 'sec', username: 'u', password: 'bad' } }).catch((e) => e);
+      expect(error).toBeInstanceOf(InvalidCredentialsError);
+      expect(error).toBeInstanceOf(BullhornAuthError);
+      expect(error).toMatchObject({ name: 'InvalidCredentialsError', step: 'step1', status: 200, reason: 'login_page' });
+    });
+
+    test.each([
+      ['invalid_credentials', '<form><p class="alert alert-danger">Invalid credentials.</p></form>', 'Invalid credentials.'],
+      ['account_locked', '<div id="loginError">Your account has been <b>locked</b>. Contact your administrator.</div>', 'Your account has been locked. Contact your administrator.'],
+      ['terms_not_accepted', '<html><title>Terms of Service</title><form><button name="action" value="Accept">Accept</button></form></html>', 'Terms of Service']
+    ])('step1 diagnoses a login page as %s', async (reason, html, message) => {
+      setupFetchSequence([
+        { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+        { status: 200, json: html }
+      ]);
+      const error = await loginToBullhorn({ credentials: { clientId: 'id', clientSecret: 'sec', username: 'u', password: 'p' } }).catch((e) => e);
+      expect(error).toBeInstanceOf(InvalidCredentialsError);
+      expect(error).toMatchObject({ step: 'step1', reason, body: { error: reason, error_description: message } });
+      expect(error.message).toContain(message);
+    });
+
+    test('step1 reports redirect errors and redirects without a code', async () => {
+      const credentials = { clientId: 'id', clientSecret: 'sec', username: 'u', password: 'p' };
+      setupFetchSequence([
+        { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+        { status: 302, headers: { location: '/oauth/cb?error=unauthorized_client&error_description=Redirect+URI+not+allowed' }, json: {} }
+      ]);
+      const redirected = await loginToBullhorn({ credentials }).catch((e) => e);
+      expect(redirected).toBeInstanceOf(InvalidCredentialsError);
+      expect(redirected).toMatchObject({ reason: 'redirect_error', body: { error: 'unauthorized_client' } });
+      expect(redirected.message).toContain('Redirect URI not allowed');
+
+      setupFetchSequence([
+        { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+        { status: 302, headers: { location: 'https://cb?state=x' }, json: {} }
+      ]);
+      const noCode = await loginToBullhorn({ credentials }).catch((e) => e);
+      expect(noCode).toMatchObject({ name: 'BullhornAuthError', reason: 'missing_code' });
+      expect(global.fetch).toHaveBeenCalledTimes(2); // step2 is never sent code=undefined
+    });
+
+    test('step2 maps invalid_client to InvalidCredentialsError', async () => {
+      setupFetchSequence([
+        { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+        { status: 302, headers: { location: 'https://cb?code=CODE' }, json: {} },
+        { status: 401, json: { error: 'invalid_client', error_description: 'Bad client credentials' } }
+      ]);
+      const error = await loginToBullhorn({ credentials: { clientId: 'id', clientSecret: 'bad', username: 'u', password: 'p' } }).catch((e) => e);
+      expect(error).toBeInstanceOf(InvalidCredentialsError);
+      expect(error.step).toBe('step2');
+      expect(error.message).toContain('Bad client credentials');
+    });
+
+    test('expired refresh token is reported as the cause when no password is available', async () => {
+      setupFetchSequence([
+        { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+        { status: 400, json: { error: 'invalid_grant', error_description: 'Invalid refresh token' } }
+      ]);
+      const error = await loginToBullhorn({
+        credentials: { clientId: 'id', clientSecret: 'sec', username: 'u' },
+        tokens: { refreshToken: 'old' }
+      }).catch((e) => e);
+      expect(error.message).toContain('Insufficient input');
+      expect(error.cause).toBeInstanceOf(RefreshTokenExpiredError);
+      expect(error.cause).toMatchObject({ step: 'step0', status: 400, body: { error: 'invalid_grant' } });
+    });
+
+    test('429 raises RateLimitedError with the Bullhorn body', async () => {
+      setupFetchSequence([{ status: 429, statusText: 'Too Many Requests', json: { errorMessage: 'slow down' } }]);
+      const error = await loginToBullhorn({ tokens: { restUrl: 'https://rest', accessToken: 'A' } }).catch((e) => e);
+      expect(error).toBeInstanceOf(RateLimitedError);
+      expect(error).toMatchObject({ step: 'step3', status: 429, body: { errorMessage: 'slow down' } });
+    });
+
+    test('loginInfo without URLs raises LoginInfoError', async () => {
+      setupFetchSequence([{ status: 200, json: {} }]);
+      const error = await loginToBullhorn({ credentials: { clientId: 'id', clientSecret: 'sec', username: 'nobody', password: 'p' } }).catch((e) => e);
+      expect(error).toBeInstanceOf(LoginInfoError);
+      expect(error.step).toBe('loginInfo');
+    });
+
+    test('aborted requests raise TimeoutError', async () => {
+      jest.useRealTimers();
+      global.fetch = jest.fn().mockImplementation((_url, init) => new Promise((_resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }));
+      const error = await loginToBullhorn(
+        { tokens: { restUrl: 'https://rest', accessToken: 'A' } },
+        { http: { timeoutMs: 10 } }
+      ).catch((e) => e);
+      expect(error).toBeInstanceOf(TimeoutError);
+      expect(error.step).toBe('step3');
+    });
+
+    test('token and REST login calls send form-encoded bodies instead of query strings', async () => {
+      setupFetchSequence([
+        { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+        { status: 302, headers: { location: 'https://cb?code=C%2B1' }, json: {} },
+        { status: 200, json: { access_token: 'A&1', refresh_token: 'R' } },
+        { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT' } }
+      ]);
+      await loginToBullhorn({ credentials: { clientId: 'id', clientSecret: 's&c+r=t', username: 'u', password: 'p&w+d' } }, { ttlDays: 5 });
+      const [, authorize, token, restLogin] = global.fetch.mock.calls;
+      expect(authorize[0]).toContain('password=p%26w%2Bd');
+      expect(token[0]).toBe('https://oauth/token');
+      expect(token[1].headers['Content-Type']).toBe('application/x-www-form-urlencoded');
+      expect(Object.fromEntries(new URLSearchParams(token[1].body))).toEqual({
+        grant_type: 'authorization_code',
+        code: 'C+1',
+        client_id: 'id',
+        client_secret: 's&c+r=t'
+      });
+      expect(restLogin[0]).toBe('https://rest/login');
+      expect(Object.fromEntries(new URLSearchParams(restLogin[1].body))).toEqual({ version: '*', access_token: 'A&1', ttl: '5' });
+    });
+
+    test('error messages and bodies never contain secrets', async () => {
+      global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to parse URL from https://oauth/authorize?client_id=id&username=u&password=hunter2'));
+      const onRetryAttempt = jest.fn();
+      const error = await loginToBullhorn({ tokens: { restUrl: 'https://rest', accessToken: 'A' } }, { http: { retries: 0, onRetryAttempt } })
+        .catch((e) => e);
+      expect(error.message).toBe('Failed to parse URL from https://oauth/authorize?client_id=id&username=u&password=[REDACTED]');
+      expect(error.cause.message).not.toContain('hunter2');
+
+      setupFetchSequence([{ status: 400, json: { error: 'invalid_request', refresh_token: 'leaked' } }]);
+      const tokenError = await loginToBullhorn({ tokens: { restUrl: 'https://rest', accessToken: 'A' } }).catch((e) => e);
+      expect(tokenError.body.refresh_token).toBe('[REDACTED]');
+      expect(Object.keys(tokenError)).not.toContain('response');
+      expect(tokenError.response.status).toBe(400);
+    });
+
     test('retry callback error is handled gracefully', async () => {
       jest.useRealTimers(); // Use real timers for this test to avoid timeout issues
       
@@ -174,10 +345,2068 @@ describe('bullhorn-auth-client flow selection', () => {
         }
       );
       
-      expect(onRetryAttempt).toHaveBeenCalledWith({ attempt: 1, status: 500, error: 'Server error' });
+      expect(onRetryAttempt).toHaveBeenCalledWith({ attempt: 1, step: 'ping', status: 500, error: 'Server error', delayMs: 1000 });
       expect(res.method).toBe('existing');
       
       jest.useFakeTimers(); // Restore fake timers for other tests
     });
   });
 });
+
+describe('endpoints', () => {
+  const realFetch = global.fetch;
+  const creds = { clientId: 'id', clientSecret: 'sec', username: 'u', password: 'p' };
+  const refreshSequence = [
+    { status: 200, json: { access_token: 'A', refresh_token: 'R2' } },
+    { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT' } }
+  ];
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    global.fetch = realFetch;
+    jest.useRealTimers();
+    jest.resetAllMocks();
+  });
+
+  test('uses a configured loginInfo URL', async () => {
+    setupFetchSequence([
+      { status: 200, json: { oauthUrl: 'http://mock/oauth', restUrl: 'http://mock/rest-services' } },
+      ...refreshSequence
+    ]);
+    await loginToBullhorn(
+      { credentials: creds, tokens: { refreshToken: 'R1' } },
+      { endpoints: { loginInfoUrl: 'http://localhost:8080/rest-services/loginInfo' } }
+    );
+    expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:8080/rest-services/loginInfo?username=u');
+    expect(global.fetch.mock.calls[1][0]).toBe('http://mock/oauth/token');
+  });
+
+  test('skips discovery when oauthUrl and restUrl are configured', async () => {
+    setupFetchSequence(refreshSequence);
+    const steps = [];
+    const events = new EventEmitter();
+    events.on('step:start', ({ step }) => steps.push(step));
+    const res = await loginToBullhorn(
+      { credentials: { clientId: 'id', clientSecret: 'sec' }, tokens: { refreshToken: 'R1' } },
+      { events, endpoints: { oauthUrl: 'https://auth-west.bullhornstaffing.com/oauth', restUrl: 'https://rest-west.bullhornstaffing.com/rest-services' } }
+    );
+    expect(res.method).toBe('refresh');
+    expect(steps).toEqual(['step0', 'step3']);
+    expect(global.fetch.mock.calls[0][0]).toBe('https://auth-west.bullhornstaffing.com/oauth/token');
+    expect(global.fetch.mock.calls[1][0]).toMatch(/^https:\/\/rest-west\.bullhornstaffing\.com\/rest-services\/login/);
+  });
+
+  test('caches loginInfo results per username until they expire', async () => {
+    const loginInfoCache = new Map();
+    const info = { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } };
+    setupFetchSequence([info, ...refreshSequence, ...refreshSequence, info, ...refreshSequence]);
+    const run = () => loginToBullhorn(
+      { credentials: creds, tokens: { refreshToken: 'R1' } },
+      { endpoints: { loginInfoCache, loginInfoCacheTtlMs: 60000 } }
+    );
+    await run();
+    await run();
+    expect(global.fetch).toHaveBeenCalledTimes(5);
+    jest.advanceTimersByTime(60001);
+    await run();
+    expect(global.fetch).toHaveBeenCalledTimes(8);
+    expect(global.fetch.mock.calls[5][0]).toMatch(/loginInfo\?username=u$/);
+  });
+
+  test('sessions with a loginInfo cache skip discovery on refresh', async () => {
+    setupFetchSequence([
+      { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+      ...refreshSequence,
+      ...refreshSequence
+    ]);
+    const session = new BullhornSession(
+      { credentials: creds, tokens: { refreshToken: 'R1' } },
+      { endpoints: { loginInfoCache: new Map() } }
+    );
+    await session.getAuth();
+    await session.refresh();
+    expect(global.fetch).toHaveBeenCalledTimes(5);
+  });
+
+  test('rejects invalid endpoint options', async () => {
+    await expect(loginToBullhorn({ credentials: creds }, { endpoints: { restUrl: 'rest-west' } }))
+      .rejects.toThrow('restUrl must be an absolute http(s) URL');
+    await expect(loginToBullhorn({ credentials: creds }, { endpoints: { loginInfoCache: {} } }))
+      .rejects.toThrow('loginInfoCache must implement get(), set() and delete()');
+  });
+});
+
+describe('HTTP transport', () => {
+  const realFetch = global.fetch;
+  const response = (json) => ({ status: 200, statusText: 'OK', headers: new Map(), json: async () => json });
+
+  afterEach(() => {
+    global.fetch = realFetch;
+    jest.resetAllMocks();
+  });
+
+  test('uses config.http.fetch and passes the dispatcher instead of the global fetch', async () => {
+    global.fetch = jest.fn();
+    const dispatcher = { dispatch: jest.fn() };
+    const customFetch = jest.fn().mockResolvedValue(response({ restUrl: 'https://rest', BhRestToken: 'RT' }));
+    const res = await loginToBullhorn(
+      { tokens: { restUrl: 'https://rest', accessToken: 'A' } },
+      { http: { fetch: customFetch, dispatcher } }
+    );
+    expect(res.restToken).toBe('RT');
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(customFetch.mock.calls[0][1].dispatcher).toBe(dispatcher);
+  });
+
+  test('sends the User-Agent and default headers, letting per-request headers win', async () => {
+    const customFetch = jest.fn().mockResolvedValue(response({ restUrl: 'https://rest', BhRestToken: 'RT' }));
+    await loginToBullhorn(
+      { tokens: { restUrl: 'https://rest', accessToken: 'A' } },
+      { http: { fetch: customFetch, userAgent: 'my-service/2.0', headers: { 'X-Request-Source': 'batch', 'content-type': 'text/plain' } } }
+    );
+    expect(customFetch.mock.calls[0][1].headers).toEqual({
+      'User-Agent': 'my-service/2.0',
+      'X-Request-Source': 'batch',
+      'Content-Type': 'application/x-www-form-urlencoded'
+    });
+    expect(customFetch.mock.calls[0][1]).not.toHaveProperty('dispatcher');
+  });
+
+  test('sends the default User-Agent from sessions too', async () => {
+    const customFetch = jest.fn().mockResolvedValue({
+      ...response({}),
+      headers: new Map([['x-ratelimit-remaining-minute', '500']])
+    });
+    const session = new BullhornSession({ tokens: { restUrl: 'https://rest/', restToken: 'T' } }, { http: { fetch: customFetch } });
+    await session.request('GET', 'settings/userId');
+    customFetch.mock.calls.forEach(([, init]) => expect(init.headers['User-Agent']).toBe('bullhorn-auth-client'));
+  });
+
+  test('rejects invalid transport options', async () => {
+    const tokens = { restUrl: 'https://rest', accessToken: 'A' };
+    await expect(loginToBullhorn({ tokens }, { http: { fetch: 'fetch' } })).rejects.toThrow('fetch must be a function');
+    await expect(loginToBullhorn({ tokens }, { http: { dispatcher: 'proxy' } })).rejects.toThrow('dispatcher must be an undici Dispatcher');
+    await expect(loginToBullhorn({ tokens }, { http: { headers: { 'X-Retries': 3 } } })).rejects.toThrow('headers must be an object of string values');
+  });
+});
+
+describe('cancellation', () => {
+  const realFetch = global.fetch;
+  const creds = { clientId: 'id', clientSecret: 'sec', username: 'u', password: 'p' };
+
+  afterEach(() => {
+    global.fetch = realFetch;
+    jest.resetAllMocks();
+  });
+
+  test('an already aborted signal rejects before any request', async () => {
+    global.fetch = jest.fn();
+    const controller = new AbortController();
+    const reason = new Error('request cancelled');
+    controller.abort(reason);
+    await expect(loginToBullhorn({ credentials: creds }, { signal: controller.signal })).rejects.toBe(reason);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('aborting during a backoff sleep stops the retries', async () => {
+    setupFetchSequence([{ status: 503, json: {} }]);
+    const controller = new AbortController();
+    const promise = loginToBullhorn({ credentials: creds }, {
+      signal: controller.signal,
+      http: { retries: 3, baseDelayMs: 60000, onRetryAttempt: () => controller.abort() }
+    });
+    await expect(promise).rejects.toMatchObject({ name: 'AbortError' });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('an aborted ping does not fall through to the next login path', async () => {
+    const controller = new AbortController();
+    const reason = new Error('handler timed out');
+    const customFetch = jest.fn().mockImplementation(async () => {
+      controller.abort(reason);
+      throw reason;
+    });
+    await expect(loginToBullhorn(
+      { credentials: creds, tokens: { restUrl: 'https://rest', restToken: 'T', refreshToken: 'R' } },
+      { signal: controller.signal, http: { fetch: customFetch } }
+    )).rejects.toBe(reason);
+    expect(customFetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('deadlineMs bounds the whole flow, including rate-limit waits', async () => {
+    const server = createMockBullhornServer();
+    await server.listen();
+    try {
+      server.fail('authorize', { delayMs: 1000 });
+      const started = Date.now();
+      const error = await loginToBullhorn({ credentials: server.credentials }, {
+        deadlineMs: 100,
+        endpoints: { loginInfoUrl: server.loginInfoUrl }
+      }).catch((e) => e);
+      expect(error).toBeInstanceOf(TimeoutError);
+      expect(error.message).toContain('deadlineMs (100ms)');
+      expect(Date.now() - started).toBeLessThan(1000);
+
+      const rateLimiter = new RateLimiter({ throttle: true });
+      rateLimiter.update({ headers: new Map([['x-ratelimit-limit-minute', '100'], ['x-ratelimit-remaining-minute', '0']]) });
+      await expect(loginToBullhorn({ credentials: server.credentials }, {
+        deadlineMs: 50,
+        endpoints: { loginInfoUrl: server.loginInfoUrl },
+        http: { rateLimiter }
+      })).rejects.toBeInstanceOf(TimeoutError);
+      expect(server.requests).toHaveLength(2);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('rejects invalid cancellation options', async () => {
+    await expect(loginToBullhorn({ credentials: creds }, { signal: {} })).rejects.toThrow('signal must be an AbortSignal');
+    await expect(loginToBullhorn({ credentials: creds }, { deadlineMs: 0 })).rejects.toThrow('deadlineMs must be a positive number');
+  });
+});
+
+describe('token expiry', () => {
+  const realFetch = global.fetch;
+  const creds = { clientId: 'id', clientSecret: 'sec', username: 'u', password: 'p' };
+  const DAY = 24 * 60 * 60 * 1000;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2025-01-01T00:00:00Z'));
+  });
+
+  afterEach(() => {
+    global.fetch = realFetch;
+    jest.useRealTimers();
+    jest.resetAllMocks();
+  });
+
+  test('results carry issue and expiry times and the REST login identity', async () => {
+    setupFetchSequence([
+      { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+      { status: 302, headers: { location: 'https://cb?code=CODE' }, json: {} },
+      { status: 200, json: { access_token: 'A', refresh_token: 'R', expires_in: 600 } },
+      { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT', userId: 7, corporationId: 42 } }
+    ]);
+    const now = Date.now();
+    const res = await loginToBullhorn({ credentials: creds }, { ttlDays: 2 });
+    expect(res).toMatchObject({
+      method: 'full',
+      issuedAt: now,
+      accessTokenExpiresAt: now + 600000,
+      restTokenExpiresAt: now + 2 * DAY,
+      userId: 7,
+      corporationId: 42
+    });
+  });
+
+  test('an expired restToken goes straight to refresh without a ping', async () => {
+    setupFetchSequence([
+      { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+      { status: 200, json: { access_token: 'A', refresh_token: 'R2' } },
+      { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT2' } }
+    ]);
+    const res = await loginToBullhorn({
+      credentials: creds,
+      tokens: { restUrl: 'https://rest', restToken: 'RT', restTokenExpiresAt: Date.now() - 1, refreshToken: 'R1' }
+    });
+    expect(res.method).toBe('refresh');
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(global.fetch.mock.calls[0][0]).toMatch(/loginInfo/);
+  });
+
+  test('a just-confirmed restToken skips the ping once the rate limiter knows the budget', async () => {
+    const tokens = { restUrl: 'https://rest', restToken: 'RT', restTokenExpiresAt: Date.now() + DAY };
+    setupFetchSequence([{ status: 200, headers: { 'x-ratelimit-remaining-minute': '500' }, json: {} }]);
+    const rateLimiter = new RateLimiter();
+    const first = await loginToBullhorn({ tokens }, { http: { rateLimiter } });
+    expect(first).toMatchObject({ method: 'existing', verifiedAt: Date.now() });
+    const second = await loginToBullhorn({ tokens: first }, { http: { rateLimiter } });
+    expect(second).toMatchObject({ method: 'existing', restTokenExpiresAt: tokens.restTokenExpiresAt, minRemaining: '500' });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('restTokenExpiresAt alone never skips the ping, since Bullhorn may have ended the session', async () => {
+    const rateLimiter = new RateLimiter();
+    setupFetchSequence([
+      { status: 200, headers: { 'x-ratelimit-remaining-minute': '500' }, json: {} },
+      { status: 401, json: { errorMessage: 'Bad token' } }
+    ]);
+    const first = await loginToBullhorn({ tokens: { restUrl: 'https://rest', restToken: 'RT', restTokenExpiresAt: Date.now() + DAY } }, { http: { rateLimiter } });
+    jest.advanceTimersByTime(2 * 60000);
+    const error = await loginToBullhorn({ tokens: first }, { http: { rateLimiter } }).catch((e) => e);
+    expect(error.message).toMatch(/Insufficient input/);
+    expect(error.cause).toMatchObject({ step: 'ping', status: 401 });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('an expired accessToken is not exchanged', async () => {
+    const events = new EventEmitter();
+    const fallbacks = [];
+    events.on('fallback', (e) => fallbacks.push(e));
+    setupFetchSequence([
+      { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+      { status: 302, headers: { location: 'https://cb?code=CODE' }, json: {} },
+      { status: 200, json: { access_token: 'A2', refresh_token: 'R' } },
+      { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT' } }
+    ]);
+    const res = await loginToBullhorn({
+      credentials: creds,
+      tokens: { restUrl: 'https://rest', accessToken: 'A1', accessTokenExpiresAt: Date.now() - 1 }
+    }, { events });
+    expect(res.method).toBe('full');
+    expect(fallbacks).toEqual([expect.objectContaining({ from: 'access', reason: expect.stringContaining('accessToken expired') })]);
+    expect(res.accessTokenExpiresAt).toBeUndefined();
+  });
+
+  test('sessions renew ahead of restTokenExpiresAt', async () => {
+    setupFetchSequence([
+      { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT' } }
+    ]);
+    const session = new BullhornSession({ tokens: { restUrl: 'https://rest', accessToken: 'A' } }, { ttlDays: 1 });
+    await session.getAuth();
+    expect(session.expiresAt).toBe(Date.now() + DAY);
+  });
+});
+
+describe('retry policy', () => {
+  const realFetch = global.fetch;
+  const credentials = { clientId: 'id', clientSecret: 'sec', username: 'u', password: 'p' };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    global.fetch = realFetch;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    jest.resetAllMocks();
+  });
+
+  test('honors Retry-After and reports the delay', async () => {
+    setupFetchSequence([
+      { status: 429, headers: { 'retry-after': '2' }, json: {} },
+      { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT' } }
+    ]);
+    const onRetryAttempt = jest.fn();
+    const pending = loginToBullhorn(
+      { tokens: { restUrl: 'https://rest', accessToken: 'A' } },
+      { http: { retries: 2, onRetryAttempt } }
+    );
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    const res = await pending;
+    expect(res.restToken).toBe('RT');
+    expect(onRetryAttempt).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, step: 'step3', status: 429, delayMs: 2000 }));
+  });
+
+  test('waits for the next minute when the per-minute budget is exhausted', async () => {
+    jest.setSystemTime(new Date('2025-01-01T00:00:45Z'));
+    setupFetchSequence([
+      { status: 429, headers: { 'x-ratelimit-remaining-minute': '0' }, json: {} },
+      { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT' } }
+    ]);
+    const onRetryAttempt = jest.fn();
+    const pending = loginToBullhorn({ tokens: { restUrl: 'https://rest', accessToken: 'A' } }, { http: { retries: 1, onRetryAttempt } });
+    await jest.advanceTimersByTimeAsync(15000);
+    await pending;
+    expect(onRetryAttempt.mock.calls[0][0].delayMs).toBe(15000);
+  });
+
+  test('gives up when the server asks to wait longer than maxRetryAfterMs', async () => {
+    setupFetchSequence([{ status: 429, headers: { 'retry-after': '120' }, json: {} }]);
+    const error = await loginToBullhorn(
+      { tokens: { restUrl: 'https://rest', accessToken: 'A' } },
+      { http: { retries: 3, maxRetryAfterMs: 60000 } }
+    ).catch((e) => e);
+    expect(error).toBeInstanceOf(RateLimitedError);
+    expect(error.retryAfterMs).toBe(120000);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not replay the authorization-code exchange after a server error', async () => {
+    setupFetchSequence([
+      { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+      { status: 302, headers: { location: 'https://cb?code=CODE' }, json: {} },
+      { status: 500, json: {} }
+    ]);
+    const error = await loginToBullhorn({ credentials }, { http: { retries: 3 } }).catch((e) => e);
+    expect(error).toMatchObject({ step: 'step2', status: 500 });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('respects retryableStatuses and noRetrySteps', async () => {
+    setupFetchSequence([{ status: 502, json: {} }]);
+    await expect(loginToBullhorn(
+      { tokens: { restUrl: 'https://rest', accessToken: 'A' } },
+      { http: { retries: 3, retryableStatuses: [429, 503] } }
+    )).rejects.toMatchObject({ status: 502 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    setupFetchSequence([{ status: 503, json: {} }]);
+    await expect(loginToBullhorn(
+      { tokens: { restUrl: 'https://rest', accessToken: 'A' } },
+      { http: { retries: 3, noRetrySteps: ['step3'] } }
+    )).rejects.toMatchObject({ status: 503 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('applies jitter and caps the computed backoff at maxDelayMs', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    setupFetchSequence([
+      { status: 503, json: {} },
+      { status: 503, json: {} },
+      { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT' } }
+    ]);
+    const onRetryAttempt = jest.fn();
+    const pending = loginToBullhorn(
+      { tokens: { restUrl: 'https://rest', accessToken: 'A' } },
+      { http: { retries: 2, baseDelayMs: 3000, maxDelayMs: 5000, jitter: 'full', onRetryAttempt } }
+    );
+    await jest.advanceTimersByTimeAsync(5000);
+    await pending;
+    expect(onRetryAttempt.mock.calls.map(([info]) => info.delayMs)).toEqual([1500, 2500]);
+  });
+
+  test('validates the retry options', async () => {
+    await expect(loginToBullhorn({}, { http: { jitter: 'random' } })).rejects.toThrow('jitter must be one of');
+    await expect(loginToBullhorn({}, { http: { maxDelayMs: -1 } })).rejects.toThrow('maxDelayMs must be a non-negative number');
+    await expect(loginToBullhorn({}, { http: { retryableStatuses: 'all' } })).rejects.toThrow('retryableStatuses must be an array');
+  });
+});
+
+describe('rate-limit tracking', () => {
+  const realFetch = global.fetch;
+  const headers = (remaining) => ({ 'x-ratelimit-limit-minute': '1000', 'x-ratelimit-remaining-minute': String(remaining) });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2025-01-01T00:00:00Z'));
+  });
+
+  afterEach(() => {
+    global.fetch = realFetch;
+    jest.useRealTimers();
+    jest.resetAllMocks();
+  });
+
+  test('tracks the budget from response headers and counts requests in flight', async () => {
+    const rateLimiter = new RateLimiter();
+    expect(rateLimiter.getRateLimitStatus()).toMatchObject({ limit: null, remaining: null });
+    setupFetchSequence([{ status: 200, headers: headers(500), json: {} }]);
+    await loginToBullhorn({ tokens: { restUrl: 'https://rest', restToken: 'T' } }, { http: { rateLimiter } });
+    expect(rateLimiter.getRateLimitStatus()).toEqual({
+      limit: 1000,
+      remaining: 500,
+      resetAt: Date.now() + 60000,
+      updatedAt: Date.now(),
+      queued: 0
+    });
+    await rateLimiter.acquire();
+    expect(rateLimiter.getRateLimitStatus().remaining).toBe(499);
+    jest.advanceTimersByTime(60000);
+    expect(rateLimiter.getRateLimitStatus().remaining).toBe(1000);
+  });
+
+  test('throttling holds requests until the window resets', async () => {
+    const rateLimiter = new RateLimiter({ throttle: true, reserve: 1 });
+    rateLimiter.update({ headers: new Map(Object.entries(headers(2))) });
+    await rateLimiter.acquire();
+    let sent = false;
+    const pending = rateLimiter.acquire().then(() => { sent = true; });
+    await jest.advanceTimersByTimeAsync(59999);
+    expect(sent).toBe(false);
+    expect(rateLimiter.getRateLimitStatus().queued).toBe(1);
+    await jest.advanceTimersByTimeAsync(1);
+    await pending;
+    expect(sent).toBe(true);
+    expect(rateLimiter.getRateLimitStatus()).toMatchObject({ remaining: 999, queued: 0 });
+  });
+
+  test('session exposes the status of its logins and requests', async () => {
+    setupFetchSequence([
+      { status: 200, headers: headers(500), json: {} }, // ping
+      { status: 200, headers: headers(499), json: { data: [] } }
+    ]);
+    const session = new BullhornSession({ tokens: { restUrl: 'https://rest', restToken: 'T' } });
+    await session.request('GET', 'entity/Candidate/1');
+    expect(session.getRateLimitStatus()).toMatchObject({ limit: 1000, remaining: 499 });
+  });
+
+  test('validates limiter options', () => {
+    expect(() => new RateLimiter({ reserve: -1 })).toThrow('reserve must be a non-negative number');
+    expect(() => new RateLimiter({ windowMs: 0 })).toThrow('windowMs must be a positive number');
+  });
+});
+
+describe('observability', () => {
+  const realFetch = global.fetch;
+  const credentials = { clientId: 'id', clientSecret: 'sec', username: 'u', password: 'hunter2' };
+
+  afterEach(() => {
+    global.fetch = realFetch;
+    jest.resetAllMocks();
+  });
+
+  function record(emitter) {
+    const seen = [];
+    ['step:start', 'step:end', 'retry', 'fallback', 'login:success', 'login:failure'].forEach((name) => {
+      emitter.on(name, (payload) => seen.push(payload));
+    });
+    return seen;
+  }
+
+  test('emits step, fallback and login events', async () => {
+    setupFetchSequence([
+      { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+      { status: 400, json: { error: 'invalid_grant' } }, // step0
+      { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+      { status: 302, headers: { location: 'https://cb?code=CODE' }, json: {} },
+      { status: 200, json: { access_token: 'A', refresh_token: 'R' } },
+      { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT' } }
+    ]);
+    const events = new EventEmitter();
+    const seen = record(events);
+    await loginToBullhorn({ credentials, tokens: { refreshToken: 'old' } }, { events });
+    expect(seen.map((e) => `${e.event}${e.step ? ` ${e.step}` : ''}`)).toEqual([
+      'step:start loginInfo', 'step:end loginInfo',
+      'step:start step0', 'step:end step0',
+      'fallback step0',
+      'step:start loginInfo', 'step:end loginInfo',
+      'step:start step1', 'step:end step1',
+      'step:start step2', 'step:end step2',
+      'step:start step3', 'step:end step3',
+      'login:success'
+    ]);
+    expect(seen[3]).toMatchObject({ method: 'refresh', ok: false, status: 400, errorName: 'RefreshTokenExpiredError' });
+    expect(seen[4]).toMatchObject({ from: 'refresh', status: 400 });
+    expect(seen[12]).toMatchObject({ method: 'full', ok: true, status: 200 });
+    expect(typeof seen[12].durationMs).toBe('number');
+    expect(seen[13]).toMatchObject({ method: 'full' });
+  });
+
+  test('reports retries and login failures; listener errors are ignored', async () => {
+    jest.useFakeTimers();
+    setupFetchSequence([{ status: 503, json: {} }]);
+    const events = new EventEmitter();
+    const seen = record(events);
+    events.on('retry', () => { throw new Error('listener bug'); });
+    const pending = loginToBullhorn({ tokens: { restUrl: 'https://rest', accessToken: 'A' } }, { events, http: { retries: 1 } })
+      .catch((e) => e);
+    await jest.advanceTimersByTimeAsync(1000);
+    const error = await pending;
+    jest.useRealTimers();
+    expect(error.status).toBe(503);
+    expect(seen.find((e) => e.event === 'retry')).toMatchObject({ step: 'step3', attempt: 1, status: 503, delayMs: 1000 });
+    expect(seen[seen.length - 1]).toMatchObject({ event: 'login:failure', step: 'step3', status: 503 });
+  });
+
+  test('logger receives events at matching levels with secrets redacted', async () => {
+    setupFetchSequence([
+      { status: 401, json: { errorMessage: 'Bad token' } },
+      { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT' } }
+    ]);
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    await loginToBullhorn({ tokens: { restUrl: 'https://rest', restToken: 'bad', accessToken: 'A' } }, { logger });
+    expect(logger.warn).toHaveBeenCalledWith('bullhorn-auth fallback', expect.objectContaining({ from: 'existing', status: 401 }));
+    expect(logger.info).toHaveBeenCalledWith('bullhorn-auth login:success', expect.objectContaining({ method: 'access' }));
+    expect(JSON.stringify(logger.debug.mock.calls)).not.toContain('RT');
+  });
+
+  test('redact masks secret keys and query parameters', () => {
+    expect(redact({
+      password: 'hunter2',
+      nested: { refresh_token: 'R', ok: 'fine' },
+      url: 'https://oauth/token?grant_type=refresh_token&refresh_token=R1&client_secret=s3cr3t'
+    })).toEqual({
+      password: '[REDACTED]',
+      nested: { refresh_token: '[REDACTED]', ok: 'fine' },
+      url: 'https://oauth/token?grant_type=refresh_token&refresh_token=[REDACTED]&client_secret=[REDACTED]'
+    });
+  });
+
+  test('sessions are event emitters', async () => {
+    setupFetchSequence([{ status: 200, headers: { 'x-ratelimit-remaining-minute': '500' }, json: {} }]);
+    const session = new BullhornSession({ tokens: { restUrl: 'https://rest', restToken: 'T' } });
+    const onSuccess = jest.fn();
+    session.on('login:success', onSuccess);
+    await session.getAuth();
+    expect(onSuccess).toHaveBeenCalledWith(expect.objectContaining({ method: 'existing' }));
+  });
+});
+
+describe('BullhornSession', () => {
+  const realFetch = global.fetch;
+  const credentials = { clientId: 'id', clientSecret: 'sec', username: 'u', password: 'p' };
+  const fullLogin = [
+    { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+    { status: 302, headers: { location: 'https://cb?code=CODE' }, json: {} },
+    { status: 200, json: { access_token: 'A', refresh_token: 'R' } },
+    { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT' } }
+  ];
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    global.fetch = realFetch;
+    jest.useRealTimers();
+    jest.resetAllMocks();
+  });
+
+  test('caches the result between calls', async () => {
+    setupFetchSequence(fullLogin);
+    const session = new BullhornSession({ credentials });
+    const first = await session.getAuth();
+    const second = await session.getAuth();
+    expect(second).toBe(first);
+    expect(first.method).toBe('full');
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+  });
+
+  test('concurrent callers share one in-flight login', async () => {
+    setupFetchSequence(fullLogin);
+    const session = new BullhornSession({ credentials });
+    const results = await Promise.all([session.getAuth(), session.getAuth(), session.getAuth()]);
+    expect(new Set(results).size).toBe(1);
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+  });
+
+  test('renews with the refresh token before the TTL runs out', async () => {
+    jest.setSystemTime(new Date('2025-01-01T00:00:00Z'));
+    setupFetchSequence([
+      ...fullLogin,
+      { status: 200, json: { access_token: 'A2', refresh_token: 'R2' } },
+      { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT2' } }
+    ]);
+    const session = new BullhornSession({ credentials }, { ttlDays: 1, renewBeforeMs: 60000 });
+    await session.getAuth();
+    jest.setSystemTime(new Date('2025-01-01T23:59:30Z'));
+    const renewed = await session.getAuth();
+    expect(renewed.method).toBe('refresh');
+    expect(renewed.restToken).toBe('RT2');
+    // loginInfo is cached per session, so the refresh goes straight to the token endpoint
+    expect(global.fetch.mock.calls[4][1].body).toContain('refresh_token=R&');
+  });
+
+  test('each session caches loginInfo unless the cache is turned off', async () => {
+    const loginInfoCalls = () => global.fetch.mock.calls.filter(([urlStr]) => urlStr.includes('loginInfo')).length;
+    setupFetchSequence([
+      ...fullLogin,
+      { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+      { status: 200, json: { access_token: 'A2', refresh_token: 'R2' } },
+      { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT2' } }
+    ]);
+    const uncached = new BullhornSession({ credentials }, { endpoints: { loginInfoCache: false } });
+    await uncached.getAuth();
+    uncached.invalidate('RT');
+    await uncached.getAuth();
+    expect(loginInfoCalls()).toBe(2);
+    expect(new BullhornSession({ credentials }).config.endpoints.loginInfoCache).toBeInstanceOf(Map);
+  });
+
+  test('invalidate only drops the matching token', async () => {
+    setupFetchSequence([
+      ...fullLogin,
+      { status: 200, json: { access_token: 'A2', refresh_token: 'R2' } },
+      { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT2' } }
+    ]);
+    const session = new BullhornSession({ credentials });
+    await session.getAuth();
+    session.invalidate('stale');
+    expect(session.auth.restToken).toBe('RT');
+    session.invalidate('RT');
+    expect(session.auth).toBeNull();
+    const renewed = await session.getAuth();
+    expect(renewed.method).toBe('refresh');
+    expect(renewed.restToken).toBe('RT2');
+  });
+
+  test('request resolves paths against restUrl and sends BhRestToken as a header', async () => {
+    setupFetchSequence([
+      { status: 200, headers: { 'x-ratelimit-remaining-minute': '500' }, json: {} }, // ping
+      { status: 200, json: { total: 1, data: [{ id: 1 }] } }
+    ]);
+    const session = new BullhornSession({ tokens: { restUrl: 'https://rest/rest-services/abc/', restToken: 'T' } });
+    const data = await session.request('get', '/search/Candidate', { query: { query: 'id:1', fields: ['id', 'firstName'] } });
+    expect(data.total).toBe(1);
+    const [urlStr, init] = global.fetch.mock.calls[1];
+    expect(urlStr).toBe('https://rest/rest-services/abc/search/Candidate?query=id%3A1&fields=id%2CfirstName');
+    expect(init.method).toBe('GET');
+    expect(init.headers.BhRestToken).toBe('T');
+  });
+
+  test('request never sends BhRestToken outside restUrl', async () => {
+    setupFetchSequence([{ status: 200, headers: { 'x-ratelimit-remaining-minute': '500' }, json: {} }]);
+    const session = new BullhornSession({ tokens: { restUrl: 'https://rest/rest-services/abc/', restToken: 'T' } });
+    await expect(session.request('GET', 'https://attacker.example/x')).rejects.toThrow('path must be relative to restUrl');
+    await expect(session.request('GET', '../../other/x')).rejects.toThrow('path must stay within restUrl');
+    await expect(session.request('GET', '\\\\attacker.example/x')).rejects.toThrow('path must stay within restUrl');
+    await expect(session.request('GET', 'entity/%2e%2e/%2e%2e/%2e%2e/x')).rejects.toThrow('path must stay within restUrl');
+    global.fetch.mock.calls.forEach(([urlStr]) => expect(urlStr).toMatch(/^https:\/\/rest\/rest-services\/abc\//));
+  });
+
+  test('request sends JSON bodies', async () => {
+    setupFetchSequence([...fullLogin, { status: 200, json: { changedEntityId: 5 } }]);
+    const session = new BullhornSession({ credentials });
+    await session.request('PUT', 'entity/Note', { body: { comments: 'hi' } });
+    const [, init] = global.fetch.mock.calls[4];
+    expect(init.headers['Content-Type']).toBe('application/json');
+    expect(init.body).toBe('{"comments":"hi"}');
+  });
+
+  test('request logs in again and retries once after a 401', async () => {
+    setupFetchSequence([
+      ...fullLogin,
+      { status: 401, json: { errorMessage: 'Bad token' } },
+      { status: 200, json: { access_token: 'A2', refresh_token: 'R2' } },
+      { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT2' } },
+      { status: 200, json: { data: [] } }
+    ]);
+    const session = new BullhornSession({ credentials });
+    const data = await session.request('GET', 'entity/Candidate/1');
+    expect(data).toEqual({ data: [] });
+    expect(global.fetch.mock.calls[7][1].headers.BhRestToken).toBe('RT2');
+  });
+
+  test('request rejects non-2xx responses with the parsed body', async () => {
+    setupFetchSequence([...fullLogin, { status: 404, statusText: 'Not Found', json: { errorMessage: 'missing' } }]);
+    const session = new BullhornSession({ credentials });
+    const error = await session.request('GET', 'entity/Candidate/999').catch((e) => e);
+    expect(error).toBeInstanceOf(BullhornAuthError);
+    expect(error).toMatchObject({ step: 'request', status: 404, body: { errorMessage: 'missing' } });
+  });
+
+  test('validates renewBeforeMs', () => {
+    expect(() => new BullhornSession({}, { renewBeforeMs: -1 })).toThrow('renewBeforeMs must be a non-negative number');
+  });
+});
+
+describe('interactive login', () => {
+  let server;
+  let credentials;
+
+  // Stands in for the user's browser: logs in on the authorize page and follows the redirect
+  async function browser(authorizeUrl) {
+    const login = new URL(authorizeUrl);
+    login.searchParams.set('action', 'Login');
+    login.searchParams.set('username', server.credentials.username);
+    login.searchParams.set('password', server.credentials.password);
+    const res = await fetch(login, { redirect: 'manual' });
+    return res.headers.get('location');
+  }
+
+  function freePort() {
+    const net = require('net');
+    return new Promise((resolve) => {
+      const probe = net.createServer().listen(0, '127.0.0.1', () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+      });
+    });
+  }
+
+  beforeEach(async () => {
+    server = createMockBullhornServer();
+    await server.listen();
+    const { clientId, clientSecret, username } = server.credentials;
+    credentials = { clientId, clientSecret, username };
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('completes the flow through a local callback server with PKCE', async () => {
+    const redirectUri = `http://127.0.0.1:${await freePort()}/callback`;
+    let authorizeUrl;
+    const res = await loginToBullhorn({ credentials }, {
+      endpoints: { loginInfoUrl: server.loginInfoUrl },
+      interactive: {
+        redirectUri,
+        onAuthorizeUrl: async (url) => {
+          authorizeUrl = new URL(url);
+          await fetch(await browser(url));
+        }
+      }
+    });
+    expect(res).toMatchObject({ method: 'interactive', restUrl: `${server.restUrl}/mock/` });
+    expect(res.refreshToken).toBeTruthy();
+    expect(authorizeUrl.searchParams.get('redirect_uri')).toBe(redirectUri);
+    expect(authorizeUrl.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(authorizeUrl.searchParams.get('state')).toHaveLength(32);
+    expect(authorizeUrl.searchParams.has('password')).toBe(false);
+    const token = server.requests.find((r) => r.endpoint === 'token');
+    expect(token.params).toMatchObject({ redirect_uri: redirectUri, code_verifier: expect.any(String) });
+  });
+
+  test('accepts a callback URL from getCallbackUrl', async () => {
+    const res = await loginToBullhorn({ credentials }, {
+      endpoints: { loginInfoUrl: server.loginInfoUrl },
+      interactive: { redirectUri: 'https://app.example.com/bullhorn/callback', getCallbackUrl: browser }
+    });
+    expect(res.method).toBe('interactive');
+  });
+
+  test('rejects callbacks with a foreign state or an error', async () => {
+    const run = (getCallbackUrl) => loginToBullhorn({ credentials }, {
+      endpoints: { loginInfoUrl: server.loginInfoUrl },
+      interactive: { redirectUri: 'https://app.example.com/cb', getCallbackUrl }
+    });
+    await expect(run(async (url) => (await browser(url)).replace(/state=[^&]+/, 'state=forged')))
+      .rejects.toThrow('callback state does not match');
+    const error = await run(async () => 'https://app.example.com/cb?error=access_denied&error_description=User+denied+access')
+      .catch((e) => e);
+    expect(error).toBeInstanceOf(BullhornAuthError);
+    expect(error).toMatchObject({ step: 'step1', body: { error: 'access_denied' } });
+  });
+
+  test('gives up after timeoutMs', async () => {
+    const error = await loginToBullhorn({ credentials }, {
+      endpoints: { loginInfoUrl: server.loginInfoUrl },
+      interactive: { redirectUri: 'https://app.example.com/cb', getCallbackUrl: () => new Promise(() => {}), timeoutMs: 50 }
+    }).catch((e) => e);
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error.step).toBe('step1');
+  });
+
+  test('rejects right away when the signal is aborted before the callback is awaited', async () => {
+    const controller = new AbortController();
+    const getCallbackUrl = jest.fn(() => new Promise(() => {}));
+    // Aborted while loginInfo answers, so the interactive step starts with an aborted signal
+    let abortedAt;
+    const abortingFetch = async (urlStr, init) => {
+      const response = await fetch(urlStr, init);
+      const body = await response.text();
+      controller.abort(new Error('cancelled'));
+      abortedAt = Date.now();
+      return new Response(body, { status: response.status, headers: response.headers });
+    };
+    await expect(loginToBullhorn({ credentials }, {
+      endpoints: { loginInfoUrl: server.loginInfoUrl },
+      signal: controller.signal,
+      http: { fetch: abortingFetch },
+      interactive: { redirectUri: 'https://app.example.com/cb', getCallbackUrl, timeoutMs: 200 }
+    })).rejects.toThrow('cancelled');
+    expect(Date.now() - abortedAt).toBeLessThan(200);
+    expect(getCallbackUrl).not.toHaveBeenCalled();
+  });
+
+  test('validates the interactive options', async () => {
+    await expect(loginToBullhorn({ credentials }, { interactive: { redirectUri: 'https://app.example.com/cb', onAuthorizeUrl: () => {} } }))
+      .rejects.toThrow('redirectUri must be http://localhost:<port>/...');
+    await expect(loginToBullhorn({ credentials }, { interactive: { redirectUri: 'http://localhost:8765/cb' } }))
+      .rejects.toThrow('onAuthorizeUrl is required');
+  });
+});
+
+describe('BullhornClientManager', () => {
+  const realFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = realFetch;
+    jest.useRealTimers();
+    jest.resetAllMocks();
+  });
+
+  test('discovers tenants from prefixed environment variables', async () => {
+    const manager = BullhornClientManager.fromEnv({
+      BH_CLIENT_ID: 'default-id',
+      BH_ACME_CLIENT_ID: 'acme-id',
+      BH_ACME_CLIENT_SECRET: 'acme-secret',
+      BH_ACME_USERNAME: 'acme.api',
+      BH_ACME_PASSWORD: 'acme-pw',
+      BH_ACME_REFRESH_TOKEN: 'acme-refresh',
+      BH_GLOBEX_CORP_CLIENT_ID: 'globex-id',
+      BH_GLOBEX_CORP_CLIENT_SECRET: 'globex-secret',
+      BH_GLOBEX_CORP_USERNAME: 'globex.api',
+      BH_GLOBEX_CORP_PASSWORD: 'globex-pw'
+    });
+    expect(manager.tenantIds().sort()).toEqual(['acme', 'globex_corp']);
+    const acme = await manager.getSession('acme');
+    expect(acme.credentials).toEqual({ clientId: 'acme-id', clientSecret: 'acme-secret', username: 'acme.api', password: 'acme-pw' });
+    expect(await manager.getSession('acme')).toBe(acme);
+    await expect(manager.getSession('initech')).rejects.toThrow('Unknown tenant: initech');
+
+    expect(() => BullhornClientManager.fromEnv({ BH_ACME_CLIENT_ID: 'acme-id' }))
+      .toThrow('Incomplete credentials for tenant acme');
+  });
+
+  test('isolates logins, rate limits and token stores per tenant', async () => {
+    const acmeServer = createMockBullhornServer({ credentials: { clientId: 'acme-id' } });
+    const globexServer = createMockBullhornServer({ credentials: { clientId: 'globex-id' }, rateLimit: 500 });
+    await acmeServer.listen();
+    await globexServer.listen();
+    try {
+      const stores = {};
+      const tenant = (server) => ({
+        credentials: server.credentials,
+        config: { endpoints: { loginInfoUrl: server.loginInfoUrl } }
+      });
+      const manager = new BullhornClientManager({
+        tenants: { acme: tenant(acmeServer), globex: tenant(globexServer) },
+        tokenStoreFactory: (tenantId) => {
+          stores[tenantId] = new MemoryTokenStore();
+          return stores[tenantId];
+        }
+      });
+      const [acme, globex] = await Promise.all([manager.getAuth('acme'), manager.getAuth('globex')]);
+      expect(acme.restUrl).toBe(`${acmeServer.restUrl}/mock/`);
+      expect(globex.restUrl).toBe(`${globexServer.restUrl}/mock/`);
+      expect((await stores.acme.load()).restToken).toBe(acme.restToken);
+      expect((await stores.globex.load()).restToken).toBe(globex.restToken);
+      expect(manager.getRateLimitStatus('acme')).toMatchObject({ limit: 1500, remaining: 1499 });
+      expect(manager.getRateLimitStatus('globex')).toMatchObject({ limit: 500, remaining: 499 });
+      manager.close();
+    } finally {
+      await acmeServer.close();
+      await globexServer.close();
+    }
+  });
+
+  test('evicts idle sessions and hands their tokens to the next one', async () => {
+    jest.useFakeTimers();
+    setupFetchSequence([
+      { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT' } }, // access token exchange
+      { status: 200, headers: { 'x-ratelimit-remaining-minute': '500' }, json: {} } // ping after eviction
+    ]);
+    const manager = new BullhornClientManager({
+      tenants: { acme: { tokens: { restUrl: 'https://rest', accessToken: 'A' } } },
+      idleTimeoutMs: 60000
+    });
+    const first = await manager.getSession('acme');
+    await first.getAuth();
+    jest.advanceTimersByTime(90000);
+    expect(manager.getRateLimitStatus('acme')).toBeNull();
+
+    const second = await manager.getSession('acme');
+    expect(second).not.toBe(first);
+    const auth = await second.getAuth();
+    expect(auth).toMatchObject({ method: 'existing', restToken: 'RT' });
+    manager.close();
+  });
+
+  test('loads tenants from a JSON file and resolves unknown tenants on demand', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bh-tenants-'));
+    const file = path.join(dir, 'tenants.json');
+    fs.writeFileSync(file, JSON.stringify({ acme: { tokens: { restUrl: 'https://rest', restToken: 'T' } } }));
+    try {
+      const resolveTenant = jest.fn().mockImplementation(async (tenantId) =>
+        tenantId === 'globex' ? { tokens: { restUrl: 'https://rest', restToken: 'G' } } : null);
+      const manager = await BullhornClientManager.fromFile(file, { resolveTenant });
+      expect(manager.tenantIds()).toEqual(['acme']);
+      await Promise.all([manager.getSession('globex'), manager.getSession('globex')]);
+      expect(resolveTenant).toHaveBeenCalledTimes(1);
+      expect(manager.tenantIds()).toEqual(['acme', 'globex']);
+      await expect(manager.getSession('initech')).rejects.toThrow('Unknown tenant: initech');
+      manager.close();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('replacing a tenant drops its session, also while the tenant is being resolved', async () => {
+    const credentials = (clientId) => ({ clientId, clientSecret: 'sec', username: 'u', password: 'p' });
+    let resolve;
+    const manager = new BullhornClientManager({
+      tenants: { acme: { credentials: credentials('old') } },
+      resolveTenant: () => new Promise((r) => { resolve = r; })
+    });
+    const old = await manager.getSession('acme');
+    manager.addTenant('acme', { credentials: credentials('new') });
+    const replaced = await manager.getSession('acme');
+    expect(replaced).not.toBe(old);
+    expect(replaced.credentials.clientId).toBe('new');
+
+    const pending = manager.getSession('globex');
+    manager.addTenant('globex', { credentials: credentials('added') });
+    resolve({ credentials: credentials('resolved') });
+    const globex = await pending;
+    expect(globex.credentials.clientId).toBe('added');
+    expect(await manager.getSession('globex')).toBe(globex);
+    manager.close();
+  });
+
+  test('rejects shared stores and limiters in the defaults', () => {
+    expect(() => new BullhornClientManager({ defaults: { tokenStore: new MemoryTokenStore() } }))
+      .toThrow('defaults must not share a tokenStore or rateLimiter');
+    expect(() => new BullhornClientManager({ defaults: { http: { rateLimiter: new RateLimiter() } } }))
+      .toThrow('defaults must not share a tokenStore or rateLimiter');
+    expect(() => new BullhornClientManager({ tenants: { acme: {} } })).toThrow('tenant acme must have credentials and/or tokens');
+  });
+});
+
+describe('credential providers', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bh-creds-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('envCredentials and secretFileCredentials read variables and mounted files', async () => {
+    const secret = path.join(dir, 'password');
+    fs.writeFileSync(secret, 's3cret=&+\n');
+    const env = { ACME_CLIENT_ID: 'id', ACME_USERNAME: 'u', ACME_PASSWORD_FILE: secret, BH_CLIENT_ID: 'other' };
+    await expect(envCredentials({ env, prefix: 'ACME_' })()).resolves.toEqual({ clientId: 'id', username: 'u' });
+    await expect(secretFileCredentials({ env, prefix: 'ACME_' })()).resolves.toEqual({ password: 's3cret=&+' });
+    await expect(secretFileCredentials({ env: { BH_CLIENT_SECRET_FILE: path.join(dir, 'missing') } })())
+      .rejects.toThrow('cannot read BH_CLIENT_SECRET_FILE');
+  });
+
+  test('fileCredentials reads JSON and dotenv files', async () => {
+    const json = path.join(dir, 'bullhorn.json');
+    fs.writeFileSync(json, JSON.stringify({ clientId: 'id', clientSecret: 'sec', username: 'u', password: 'p' }));
+    await expect(fileCredentials(json)()).resolves.toEqual({ clientId: 'id', clientSecret: 'sec', username: 'u', password: 'p' });
+
+    const dotenv = path.join(dir, '.env');
+    fs.writeFileSync(dotenv, [
+      '# Bullhorn API user',
+      'export BH_CLIENT_ID=id',
+      'BH_CLIENT_SECRET="sec #1"',
+      "BH_USERNAME='u'",
+      'BH_PASSWORD=p # rotated monthly',
+      'OTHER=ignored'
+    ].join('\n'));
+    await expect(fileCredentials(dotenv)()).resolves.toEqual({ clientId: 'id', clientSecret: 'sec #1', username: 'u', password: 'p' });
+
+    await expect(fileCredentials(path.join(dir, 'none.env'), { optional: true })()).resolves.toEqual({});
+    await expect(fileCredentials(path.join(dir, 'none.env'))()).rejects.toMatchObject({ code: 'ENOENT' });
+    expect(() => fileCredentials('')).toThrow('filePath must be a non-empty string');
+  });
+
+  test('credentialsChain fills missing fields in order and stops once complete', async () => {
+    const last = jest.fn();
+    const chain = credentialsChain(
+      { clientId: 'id', clientSecret: '' },
+      () => ({ clientId: 'ignored', clientSecret: 'sec' }),
+      async () => ({ username: 'u', password: 'p' }),
+      last
+    );
+    await expect(chain()).resolves.toEqual({ clientId: 'id', clientSecret: 'sec', username: 'u', password: 'p' });
+    expect(last).not.toHaveBeenCalled();
+    await expect(credentialsChain(() => null, {})()).resolves.toBeNull();
+    expect(() => credentialsChain('BH_')).toThrow('credentialsChain accepts provider functions and credential objects');
+  });
+
+  test('loginToBullhorn consults a provider only when a new session is needed, re-reading it every time', async () => {
+    const server = createMockBullhornServer();
+    await server.listen();
+    try {
+      const file = path.join(dir, 'bullhorn.json');
+      fs.writeFileSync(file, JSON.stringify(server.credentials));
+      const provider = jest.fn(credentialsChain(fileCredentials(file)));
+      const config = { endpoints: { loginInfoUrl: server.loginInfoUrl }, minRemainingThreshold: 0 };
+
+      const first = await loginToBullhorn({ credentials: provider }, config);
+      expect(first.method).toBe('full');
+      expect(provider).toHaveBeenCalledTimes(1);
+
+      await loginToBullhorn({ credentials: provider, tokens: { restUrl: first.restUrl, restToken: first.restToken } }, config);
+      expect(provider).toHaveBeenCalledTimes(1);
+
+      server.credentials.password = 'rotated';
+      fs.writeFileSync(file, JSON.stringify(server.credentials));
+      await expect(loginToBullhorn({ credentials: provider }, config)).resolves.toMatchObject({ method: 'full' });
+      expect(provider).toHaveBeenCalledTimes(2);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('loginToBullhorn rejects invalid providers', async () => {
+    await expect(loginToBullhorn({ credentials: 'BH_' })).rejects.toThrow('credentials must be an object or a credentials provider function');
+    await expect(loginToBullhorn({ credentials: async () => 'secret' })).rejects.toThrow('credentials provider must return an object');
+  });
+});
+
+describe('token stores', () => {
+  const realFetch = global.fetch;
+  const credentials = { clientId: 'id', clientSecret: 'sec', username: 'u', password: 'p' };
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bh-auth-'));
+  });
+
+  afterEach(() => {
+    global.fetch = realFetch;
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.resetAllMocks();
+  });
+
+  test('loginToBullhorn saves the resulting tokens', async () => {
+    setupFetchSequence([
+      { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+      { status: 302, headers: { location: 'https://cb?code=CODE' }, json: {} },
+      { status: 200, json: { access_token: 'A', refresh_token: 'R' } },
+      { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT' } }
+    ]);
+    const tokenStore = new MemoryTokenStore();
+    await loginToBullhorn({ credentials }, { tokenStore });
+    expect(await tokenStore.load()).toEqual({
+      restUrl: 'https://rest',
+      restToken: 'RT',
+      refreshToken: 'R',
+      accessToken: 'A',
+      issuedAt: expect.any(Number),
+      restTokenExpiresAt: expect.any(Number),
+      verifiedAt: expect.any(Number)
+    });
+  });
+
+  test('stored tokens take precedence over params.tokens', async () => {
+    setupFetchSequence([
+      { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+      { status: 200, json: { access_token: 'A2', refresh_token: 'R3' } },
+      { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT2' } }
+    ]);
+    const tokenStore = new MemoryTokenStore({ refreshToken: 'R2' });
+    const res = await loginToBullhorn({ credentials, tokens: { refreshToken: 'R1' } }, { tokenStore });
+    expect(res.method).toBe('refresh');
+    expect(global.fetch.mock.calls[1][1].body).toContain('refresh_token=R2&');
+    expect((await tokenStore.load()).refreshToken).toBe('R3');
+  });
+
+  test('rejects stores without load/save', async () => {
+    await expect(loginToBullhorn({}, { tokenStore: {} })).rejects.toThrow('tokenStore must implement load() and save()');
+  });
+
+  test('file store round-trips tokens with restrictive permissions', async () => {
+    const filePath = path.join(dir, 'nested', 'tokens.json');
+    const store = new FileTokenStore(filePath);
+    expect(await store.load()).toBeNull();
+    await store.save({ restUrl: 'https://rest', restToken: 'RT', refreshToken: 'R', extra: 'ignored' });
+    expect(await store.load()).toEqual({ restUrl: 'https://rest', restToken: 'RT', refreshToken: 'R' });
+    if (process.platform !== 'win32') {
+      expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+    }
+    expect(fs.readdirSync(path.dirname(filePath))).toEqual(['tokens.json']);
+    await store.clear();
+    expect(await store.load()).toBeNull();
+    await store.clear();
+  });
+
+  describe('encrypted file store', () => {
+    const key = Buffer.alloc(32, 1);
+    const newKey = Buffer.alloc(32, 2);
+    const tokens = { restUrl: 'https://rest', restToken: 'RT', refreshToken: 'R' };
+
+    test('stores ciphertext and round-trips tokens', async () => {
+      const filePath = path.join(dir, 'tokens.enc');
+      const store = new EncryptedFileTokenStore(filePath, { key });
+      // Distinctive enough that random base64 ciphertext cannot contain it by chance
+      const plaintext = { ...tokens, restToken: 'rest-token-plaintext-marker' };
+      await store.save(plaintext);
+      const contents = fs.readFileSync(filePath, 'utf8');
+      expect(contents).not.toContain('rest-token-plaintext-marker');
+      expect(JSON.parse(contents)).toMatchObject({ v: 1, alg: 'aes-256-gcm' });
+      expect(await store.load()).toEqual(plaintext);
+    });
+
+    test('reads the key from the environment', async () => {
+      const filePath = path.join(dir, 'tokens.enc');
+      const env = { BH_TOKEN_KEY: key.toString('hex') };
+      await new EncryptedFileTokenStore(filePath, { env }).save(tokens);
+      expect(await new EncryptedFileTokenStore(filePath, { key: key.toString('base64') }).load()).toEqual(tokens);
+      expect(() => new EncryptedFileTokenStore(filePath, { env: {} })).toThrow('set BH_TOKEN_KEY');
+      expect(() => new EncryptedFileTokenStore(filePath, { key: 'short' })).toThrow('encryption key must be 32 bytes');
+    });
+
+    test('detects tampering through the auth tag', async () => {
+      const filePath = path.join(dir, 'tokens.enc');
+      const store = new EncryptedFileTokenStore(filePath, { key });
+      await store.save(tokens);
+      const envelope = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const data = Buffer.from(envelope.data, 'base64');
+      data[0] ^= 0xff;
+      envelope.data = data.toString('base64');
+      fs.writeFileSync(filePath, JSON.stringify(envelope));
+      await expect(store.load()).rejects.toThrow('failed integrity check');
+    });
+
+    test('rotates to a new key while accepting the previous one', async () => {
+      const filePath = path.join(dir, 'tokens.enc');
+      await new EncryptedFileTokenStore(filePath, { key }).save(tokens);
+      await expect(new EncryptedFileTokenStore(filePath, { key: newKey }).load()).rejects.toThrow('not configured');
+      const rotating = new EncryptedFileTokenStore(filePath, {
+        env: { BH_TOKEN_KEY: newKey.toString('hex'), BH_TOKEN_KEY_PREVIOUS: key.toString('hex') }
+      });
+      expect(await rotating.rotate()).toBe(true);
+      expect(await new EncryptedFileTokenStore(filePath, { key: newKey }).load()).toEqual(tokens);
+      await expect(new EncryptedFileTokenStore(filePath, { key }).load()).rejects.toThrow('not configured');
+    });
+  });
+
+  test('session discards a stored token it has invalidated', async () => {
+    setupFetchSequence([
+      { status: 200, headers: { 'x-ratelimit-remaining-minute': '500' }, json: {} }, // ping
+      { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+      { status: 200, json: { access_token: 'A2', refresh_token: 'R2' } },
+      { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT2' } }
+    ]);
+    const tokenStore = new MemoryTokenStore({ restUrl: 'https://rest', restToken: 'RT', refreshToken: 'R' });
+    const session = new BullhornSession({ credentials }, { tokenStore });
+    expect((await session.getAuth()).method).toBe('existing');
+    session.invalidate('RT');
+    const res = await session.getAuth();
+    expect(res.method).toBe('refresh');
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+    expect((await tokenStore.load()).restToken).toBe('RT2');
+  });
+});
+
+describe('login lock', () => {
+  const realFetch = global.fetch;
+  const credentials = { clientId: 'id', clientSecret: 'sec', username: 'u', password: 'p' };
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bh-lock-'));
+  });
+
+  afterEach(() => {
+    global.fetch = realFetch;
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.resetAllMocks();
+  });
+
+  test('file lock serializes holders of the same key', async () => {
+    const lock = new FileLock({ dir, retryMs: 5 });
+    const order = [];
+    const release = await lock.acquire('k');
+    const waiting = lock.acquire('k').then((releaseSecond) => {
+      order.push('second');
+      return releaseSecond();
+    });
+    await new Promise((r) => setTimeout(r, 30));
+    order.push('first');
+    await release();
+    await waiting;
+    expect(order).toEqual(['first', 'second']);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('file lock takes over stale lock files and times out otherwise', async () => {
+    const held = await new FileLock({ dir }).acquire('k');
+    await expect(new FileLock({ dir, retryMs: 5, timeoutMs: 20 }).acquire('k')).rejects.toThrow('waiting for login lock');
+    const release = await new FileLock({ dir, staleMs: -1 }).acquire('k');
+    await held(); // no longer the owner, must not remove the new holder's file
+    expect(fs.readdirSync(dir)).toHaveLength(1);
+    await release();
+  });
+
+  test('a holder running longer than staleMs keeps its lock', async () => {
+    const order = [];
+    const release = await new FileLock({ dir, staleMs: 60 }).acquire('k');
+    const waiting = new FileLock({ dir, staleMs: 60, retryMs: 5 }).acquire('k').then((releaseSecond) => {
+      order.push('second');
+      return releaseSecond();
+    });
+    await new Promise((r) => setTimeout(r, 250));
+    order.push('first');
+    await release();
+    await waiting;
+    expect(order).toEqual(['first', 'second']);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('concurrent waiters never both take over the same stale lock', async () => {
+    await new FileLock({ dir }).acquire('k'); // abandoned by a crashed process
+    const [lockFile] = fs.readdirSync(dir);
+    const old = new Date(Date.now() - 60000);
+    fs.utimesSync(path.join(dir, lockFile), old, old);
+
+    // Both waiters see the stale file before either removes it, and removals land one after another
+    const { stat, rm } = fs.promises;
+    let removals = 0;
+    const delay = (ms) => new Promise((r) => setTimeout(r, ms));
+    const statSpy = jest.spyOn(fs.promises, 'stat').mockImplementation(async (...args) => {
+      const result = await stat(...args);
+      await delay(10);
+      return result;
+    });
+    const rmSpy = jest.spyOn(fs.promises, 'rm').mockImplementation(async (...args) => {
+      removals += 1;
+      await delay(removals * 15);
+      return rm(...args);
+    });
+    try {
+      let holders = 0;
+      let maxHolders = 0;
+      const waiter = async () => {
+        const release = await new FileLock({ dir, staleMs: 30000, retryMs: 1 }).acquire('k');
+        holders += 1;
+        maxHolders = Math.max(maxHolders, holders);
+        await delay(100);
+        holders -= 1;
+        await release();
+      };
+      await Promise.all([waiter(), waiter()]);
+      expect(maxHolders).toBe(1);
+    } finally {
+      statSpy.mockRestore();
+      rmSpy.mockRestore();
+    }
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('a process that waited for the lock reuses the tokens stored by the holder', async () => {
+    let refreshes = 0;
+    global.fetch = jest.fn().mockImplementation(async (urlStr, init) => {
+      const json = (status, body, headers = {}) => ({
+        status,
+        statusText: 'OK',
+        headers: new Map(Object.entries(headers)),
+        json: async () => body
+      });
+      if (urlStr.includes('/ping')) {
+        return init.headers.BhRestToken === 'RT2'
+          ? json(200, {}, { 'x-ratelimit-remaining-minute': '500' })
+          : json(401, { errorMessage: 'Bad token' });
+      }
+      if (urlStr.includes('loginInfo')) return json(200, { oauthUrl: 'https://oauth', restUrl: 'https://rest' });
+      if (urlStr.includes('/token')) {
+        refreshes += 1;
+        await new Promise((r) => setTimeout(r, 20));
+        return json(200, { access_token: 'A2', refresh_token: 'R2' });
+      }
+      return json(200, { restUrl: 'https://rest', BhRestToken: 'RT2' });
+    });
+
+    const tokenStore = new MemoryTokenStore({ restUrl: 'https://rest', restToken: 'RT1', refreshToken: 'R1' });
+    const lock = new FileLock({ dir, retryMs: 5 });
+    const results = await Promise.all([
+      loginToBullhorn({ credentials }, { tokenStore, lock }),
+      loginToBullhorn({ credentials }, { tokenStore, lock })
+    ]);
+    expect(results.map((r) => r.method).sort()).toEqual(['existing', 'refresh']);
+    expect(refreshes).toBe(1);
+    expect(await tokenStore.load()).toMatchObject({ restToken: 'RT2', refreshToken: 'R2' });
+  });
+
+  test('rejects lock providers without acquire', async () => {
+    await expect(loginToBullhorn({}, { lock: {} })).rejects.toThrow('lock must implement acquire(key)');
+  });
+});
+
+describe('mock Bullhorn server', () => {
+  let server;
+  let credentials;
+  let config;
+
+  beforeEach(async () => {
+    server = createMockBullhornServer();
+    await server.listen();
+    credentials = server.credentials;
+    config = { endpoints: { loginInfoUrl: server.loginInfoUrl } };
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('serves a full login, a ping and a rotating refresh over HTTP', async () => {
+    const full = await loginToBullhorn({ credentials }, config);
+    expect(full).toMatchObject({ method: 'full', restUrl: `${server.restUrl}/mock/`, restToken: 'rest-4' });
+
+    const existing = await loginToBullhorn({ credentials, tokens: full }, config);
+    expect(existing.method).toBe('existing');
+
+    server.expire('rest');
+    const refreshed = await loginToBullhorn({ credentials, tokens: full }, config);
+    expect(refreshed.method).toBe('refresh');
+    expect(refreshed.refreshToken).not.toBe(full.refreshToken);
+    expect(server.requests.map((r) => r.endpoint)).toEqual(
+      ['loginInfo', 'authorize', 'token', 'login', 'ping', 'ping', 'loginInfo', 'token', 'login']
+    );
+
+    // The old refresh token was consumed by the rotation
+    const { clientId, clientSecret } = credentials;
+    await expect(loginToBullhorn({ credentials: { clientId, clientSecret }, tokens: { refreshToken: full.refreshToken } }, {
+      endpoints: { oauthUrl: server.oauthUrl, restUrl: server.restUrl }
+    }).catch((e) => { throw e.cause; })).rejects.toBeInstanceOf(RefreshTokenExpiredError);
+  });
+
+  test('falls back to a full login when the refresh token has expired', async () => {
+    const { restUrl, restToken, refreshToken } = await loginToBullhorn({ credentials }, config);
+    server.expire('rest').expire('refresh');
+    const res = await loginToBullhorn({ credentials, tokens: { restUrl, restToken, refreshToken } }, config);
+    expect(res.method).toBe('full');
+  });
+
+  test('rejects bad passwords with the login page instead of a redirect', async () => {
+    const error = await loginToBullhorn({ credentials: { ...credentials, password: 'wrong' } }, config).catch((e) => e);
+    expect(error).toBeInstanceOf(InvalidCredentialsError);
+    expect(error).toMatchObject({ reason: 'invalid_credentials', body: { error_description: 'Invalid username or password.' } });
+  });
+
+  test('scripted failures are retried and delays trigger timeouts', async () => {
+    server.fail('loginInfo', { status: 503, times: 1 });
+    const onRetryAttempt = jest.fn();
+    const res = await loginToBullhorn({ credentials }, {
+      ...config,
+      http: { retries: 1, baseDelayMs: 0, onRetryAttempt }
+    });
+    expect(res.method).toBe('full');
+    expect(onRetryAttempt).toHaveBeenCalledWith(expect.objectContaining({ step: 'loginInfo', status: 503 }));
+
+    server.fail('ping', { delayMs: 200 });
+    const session = { restUrl: res.restUrl, restToken: res.restToken };
+    await expect(loginToBullhorn({ tokens: session }, { ...config, http: { timeoutMs: 50 } })
+      .catch((e) => { throw e.cause; })).rejects.toBeInstanceOf(TimeoutError);
+  });
+
+  test('sends rate-limit headers and answers 429 once the budget is spent', async () => {
+    const { restUrl, restToken } = await loginToBullhorn({ credentials }, config);
+    const rateLimiter = new RateLimiter();
+    server.setRateLimit({ limit: 100, remaining: 2 });
+    const res = await loginToBullhorn({ tokens: { restUrl, restToken } }, { ...config, minRemainingThreshold: 0, http: { rateLimiter } });
+    expect(res.method).toBe('existing');
+    expect(rateLimiter.getRateLimitStatus()).toMatchObject({ limit: 100, remaining: 1 });
+
+    await loginToBullhorn({ tokens: { restUrl, restToken } }, { ...config, minRemainingThreshold: 0 }).catch(() => {});
+    const error = await loginToBullhorn({ tokens: { restUrl, restToken } }, { ...config, minRemainingThreshold: 0 })
+      .catch((e) => e.cause);
+    expect(error).toBeInstanceOf(RateLimitedError);
+    expect(error.retryAfterMs).toBeGreaterThan(0);
+  });
+});
+
+describe('low-level steps', () => {
+  let server;
+  let creds;
+  let config;
+
+  beforeEach(async () => {
+    server = createMockBullhornServer();
+    await server.listen();
+    creds = server.credentials;
+    config = { endpoints: { loginInfoUrl: server.loginInfoUrl } };
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('compose into a full login', async () => {
+    const { oauthUrl, restUrl } = await getLoginInfo(creds.username, config);
+    expect({ oauthUrl, restUrl }).toEqual({ oauthUrl: server.oauthUrl, restUrl: server.restUrl });
+
+    const { code } = await authorize({ oauthUrl, clientId: creds.clientId, username: creds.username, password: creds.password });
+    const grant = await exchangeCode({ oauthUrl, clientId: creds.clientId, clientSecret: creds.clientSecret, code });
+    expect(grant).toEqual({
+      accessToken: 'access-2',
+      refreshToken: 'refresh-3',
+      expiresIn: 600,
+      accessTokenExpiresAt: expect.any(Number)
+    });
+
+    const session = await restLogin({ restUrl, accessToken: grant.accessToken, ttlDays: 1 });
+    expect(session).toMatchObject({ restUrl: `${server.restUrl}/mock/`, restToken: 'rest-4', issuedAt: expect.any(Number) });
+    expect(session.restTokenExpiresAt - session.issuedAt).toBe(24 * 60 * 60 * 1000);
+    expect(session).not.toHaveProperty('raw');
+
+    await expect(ping(session)).resolves.toEqual({ minRemaining: expect.any(String) });
+  });
+
+  test('restLogin accepts an access token obtained elsewhere and reports step events', async () => {
+    const { oauthUrl, restUrl } = await getLoginInfo(creds.username, config);
+    const { code } = await authorize({ oauthUrl, clientId: creds.clientId, username: creds.username, password: creds.password });
+    const first = await exchangeCode({ oauthUrl, clientId: creds.clientId, clientSecret: creds.clientSecret, code });
+    const { accessToken } = await refreshAccessToken({ oauthUrl, refreshToken: first.refreshToken, clientId: creds.clientId, clientSecret: creds.clientSecret });
+
+    const events = new EventEmitter();
+    const seen = [];
+    events.on('step:end', (e) => seen.push(e));
+    const session = await restLogin({ restUrl, accessToken }, { events });
+    expect(session.restToken).toBeTruthy();
+    expect(seen).toEqual([expect.objectContaining({ step: 'step3', method: null, ok: true })]);
+
+    // refresh tokens are single-use
+    await expect(refreshAccessToken({ oauthUrl, refreshToken: first.refreshToken, clientId: creds.clientId, clientSecret: creds.clientSecret }))
+      .rejects.toBeInstanceOf(RefreshTokenExpiredError);
+  });
+
+  test('authorize runs the interactive flow and exchangeCode completes PKCE', async () => {
+    const { oauthUrl } = await getLoginInfo(creds.username, config);
+    const interactive = {
+      redirectUri: 'https://app.example.com/cb',
+      getCallbackUrl: async (url) => {
+        const login = new URL(url);
+        login.searchParams.set('action', 'Login');
+        login.searchParams.set('username', creds.username);
+        login.searchParams.set('password', creds.password);
+        return (await fetch(login, { redirect: 'manual' })).headers.get('location');
+      }
+    };
+    const auth = await authorize({ oauthUrl, clientId: creds.clientId }, { interactive });
+    expect(auth).toEqual({ code: expect.any(String), redirectUri: interactive.redirectUri, codeVerifier: expect.any(String) });
+    const client = { oauthUrl, clientId: creds.clientId, clientSecret: creds.clientSecret };
+    await expect(exchangeCode({ ...client, ...auth })).resolves.toMatchObject({ accessToken: expect.any(String) });
+
+    const withoutVerifier = await authorize({ oauthUrl, clientId: creds.clientId }, { interactive });
+    await expect(exchangeCode({ ...client, code: withoutVerifier.code, redirectUri: withoutVerifier.redirectUri }))
+      .rejects.toBeInstanceOf(BullhornAuthError);
+  });
+
+  test('validate their arguments', async () => {
+    await expect(authorize({ oauthUrl: server.oauthUrl, clientId: 'id', username: 'u' })).rejects.toThrow('password must be a non-empty string');
+    await expect(restLogin({ restUrl: server.restUrl })).rejects.toThrow('accessToken must be a non-empty string');
+    await expect(restLogin({ restUrl: server.restUrl, accessToken: 'A', ttlDays: 0 })).rejects.toThrow('ttlDays must be a positive number');
+    await expect(ping(null)).rejects.toThrow('expected an object with restUrl, restToken');
+    await expect(getLoginInfo('')).rejects.toThrow('username must be a non-empty string');
+    expect(server.requests).toHaveLength(0);
+  });
+});
+
+describe('logout', () => {
+  let server;
+  let credentials;
+  let config;
+
+  beforeEach(async () => {
+    server = createMockBullhornServer();
+    await server.listen();
+    credentials = server.credentials;
+    config = { endpoints: { loginInfoUrl: server.loginInfoUrl } };
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('session.logout ends the REST session and discards every token', async () => {
+    const tokenStore = new MemoryTokenStore();
+    const session = new BullhornSession({ credentials }, { ...config, tokenStore });
+    const auth = await session.getAuth();
+
+    await expect(session.logout()).resolves.toEqual({ loggedOut: true });
+    const request = server.requests.find((r) => r.endpoint === 'logout');
+    expect(request.headers.bhresttoken).toBe(auth.restToken);
+    await expect(ping(auth)).rejects.toMatchObject({ step: 'ping', status: 401 });
+    expect(session.auth).toBeNull();
+    await expect(tokenStore.load()).resolves.toBeNull();
+
+    // no refresh token is left, so the next login starts from the credentials
+    await expect(session.getAuth()).resolves.toMatchObject({ method: 'full' });
+  });
+
+  test('is safe when the session has expired or never started', async () => {
+    const session = new BullhornSession({ credentials }, config);
+    await session.getAuth();
+    server.expire('rest');
+    await expect(session.logout()).resolves.toEqual({ loggedOut: false });
+    await expect(session.logout()).resolves.toEqual({ loggedOut: false });
+    await expect(new BullhornSession({ credentials }, config).logout()).resolves.toEqual({ loggedOut: false });
+    expect(server.requests.filter((r) => r.endpoint === 'logout')).toHaveLength(1);
+  });
+
+  test('logout() ends the stored session and clears the store even when Bullhorn fails', async () => {
+    const tokenStore = new MemoryTokenStore();
+    await loginToBullhorn({ credentials }, { ...config, tokenStore });
+    await expect(logout({}, { tokenStore })).resolves.toEqual({ loggedOut: true });
+    await expect(tokenStore.load()).resolves.toBeNull();
+
+    const auth = await loginToBullhorn({ credentials }, { ...config, tokenStore });
+    server.fail('logout', { status: 500 });
+    const error = await logout(auth, { tokenStore }).catch((e) => e);
+    expect(error).toBeInstanceOf(BullhornAuthError);
+    expect(error).toMatchObject({ step: 'logout', status: 500 });
+    await expect(tokenStore.load()).resolves.toBeNull();
+  });
+
+  test('BullhornClientManager.logout forgets the tenant\'s tokens', async () => {
+    const manager = new BullhornClientManager({ tenants: { acme: { credentials } }, defaults: config, idleTimeoutMs: 0 });
+    await manager.getAuth('acme');
+    await expect(manager.logout('acme')).resolves.toEqual({ loggedOut: true });
+    expect(manager.getRateLimitStatus('acme')).toBeNull();
+    await expect(manager.getAuth('acme')).resolves.toMatchObject({ method: 'full' });
+    manager.close();
+  });
+});
+
+describe('keep-alive', () => {
+  let server;
+  let session;
+
+  async function waitFor(predicate, timeoutMs = 2000) {
+    const started = Date.now();
+    while (!predicate()) {
+      if (Date.now() - started > timeoutMs) throw new Error('condition not met in time');
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  }
+
+  const pings = () => server.requests.filter((r) => r.endpoint === 'ping').length;
+  const logins = () => server.requests.filter((r) => r.endpoint === 'login').length;
+
+  beforeEach(async () => {
+    server = createMockBullhornServer();
+    await server.listen();
+    session = new BullhornSession({ credentials: server.credentials }, { endpoints: { loginInfoUrl: server.loginInfoUrl } });
+  });
+
+  afterEach(async () => {
+    await session.keepAlive?.stop();
+    await server.close();
+  });
+
+  test('logs in, pings on an interval and reports health', async () => {
+    const monitor = session.startKeepAlive({ intervalMs: 10 });
+    expect(monitor.health()).toMatchObject({ running: true, status: 'starting', consecutiveFailures: 0 });
+    await waitFor(() => pings() >= 2);
+    expect(monitor.health()).toMatchObject({
+      running: true,
+      status: 'ok',
+      lastPingAt: expect.any(Number),
+      lastPingStatus: 200,
+      lastLoginAt: expect.any(Number),
+      remaining: expect.any(Number),
+      consecutiveFailures: 0,
+      lastError: null,
+      expiresAt: session.expiresAt
+    });
+    expect(logins()).toBe(1);
+    expect(() => session.startKeepAlive()).toThrow('keep-alive is already running');
+  });
+
+  test('logs in again after a 401 or when the quota runs low', async () => {
+    const monitor = session.startKeepAlive({ intervalMs: 10, minRemainingThreshold: 100 });
+    await waitFor(() => pings() >= 1);
+    const first = session.auth.restToken;
+
+    // Only a finished check updates lastLoginAt; status is still "ok" from the previous one
+    let t0 = Date.now();
+    server.expire('rest');
+    await waitFor(() => session.auth && session.auth.restToken !== first && monitor.health().lastLoginAt > t0);
+    expect(monitor.health().status).toBe('ok');
+    expect(logins()).toBe(2);
+    const second = session.auth.restToken;
+
+    t0 = Date.now();
+    server.setRateLimit({ limit: 1500, remaining: 50 });
+    await waitFor(() => session.auth && session.auth.restToken !== second && monitor.health().lastLoginAt > t0);
+    expect(monitor.health().status).toBe('ok');
+    expect(logins()).toBeGreaterThanOrEqual(3);
+  });
+
+  test('counts consecutive failures until a check succeeds again', async () => {
+    const monitor = session.startKeepAlive({ intervalMs: 10 });
+    await waitFor(() => pings() >= 1);
+    server.fail('ping', { status: 503, times: 2 });
+    await waitFor(() => monitor.health().consecutiveFailures === 2);
+    expect(monitor.health()).toMatchObject({ status: 'failing', lastPingStatus: 503, lastError: expect.stringContaining('503') });
+    await waitFor(() => monitor.health().status === 'ok');
+    expect(monitor.health().consecutiveFailures).toBe(0);
+    expect(logins()).toBe(1);
+  });
+
+  test('stop() cancels the ping in flight and schedules nothing more', async () => {
+    const monitor = session.startKeepAlive({ intervalMs: 10 });
+    await waitFor(() => pings() >= 1);
+    server.fail('ping', { delayMs: 5000 });
+    await waitFor(() => pings() >= 2);
+    const started = Date.now();
+    await monitor.stop();
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(monitor.health()).toMatchObject({ running: false, status: 'stopped', consecutiveFailures: 0 });
+    expect(session.keepAlive).toBeNull();
+    const count = server.requests.length;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(server.requests).toHaveLength(count);
+    await monitor.stop();
+  });
+
+  test('BullhornClientManager stops keep-alives when a tenant is replaced and waits for them on close', async () => {
+    const tenant = { credentials: server.credentials, config: { endpoints: { loginInfoUrl: server.loginInfoUrl } } };
+    const manager = new BullhornClientManager({ tenants: { acme: tenant } });
+    const replaced = (await manager.getSession('acme')).startKeepAlive({ intervalMs: 10 });
+    await waitFor(() => pings() >= 1);
+    manager.addTenant('acme', tenant);
+    expect(replaced.health().running).toBe(false);
+
+    const monitor = (await manager.getSession('acme')).startKeepAlive({ intervalMs: 10 });
+    await waitFor(() => pings() >= 2);
+    server.fail('ping', { delayMs: 5000 });
+    await waitFor(() => pings() >= 3);
+    const { lastCheckAt } = monitor.health();
+    await manager.close();
+    expect(monitor.health().lastCheckAt).toBeGreaterThan(lastCheckAt); // the check in flight has finished
+    expect(monitor.health()).toMatchObject({ running: false, status: 'stopped' });
+    const count = server.requests.length;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(server.requests).toHaveLength(count);
+  });
+
+  test('validates its options and stops on logout', async () => {
+    expect(() => session.startKeepAlive({ intervalMs: 0 })).toThrow('intervalMs must be a positive number');
+    expect(() => session.startKeepAlive({ minRemainingThreshold: -1 })).toThrow('minRemainingThreshold must be a non-negative number');
+    const monitor = session.startKeepAlive({ intervalMs: 10 });
+    await waitFor(() => pings() >= 1);
+    await session.logout();
+    expect(monitor.health().running).toBe(false);
+    expect(session.keepAlive).toBeNull();
+  });
+});
+
+describe('audit trail', () => {
+  let dir;
+  let server;
+  let config;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bh-audit-'));
+    server = createMockBullhornServer();
+    await server.listen();
+    config = { endpoints: { loginInfoUrl: server.loginInfoUrl }, minRemainingThreshold: 0 };
+  });
+
+  afterEach(async () => {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('JsonLinesAuditSink appends one line per login without secrets', async () => {
+    const file = path.join(dir, 'logs', 'audit.jsonl');
+    const audit = new JsonLinesAuditSink(file);
+    const first = await loginToBullhorn({ credentials: server.credentials }, { ...config, audit });
+    await loginToBullhorn({ credentials: server.credentials, tokens: { restUrl: first.restUrl, restToken: first.restToken } }, { ...config, audit });
+    await loginToBullhorn({ credentials: server.credentials, tokens: { refreshToken: first.refreshToken } }, { ...config, audit });
+
+    const text = fs.readFileSync(file, 'utf8');
+    const entries = text.trim().split('\n').map((line) => JSON.parse(line));
+    expect(entries.map((e) => e.method)).toEqual(['full', 'existing', 'refresh']);
+    expect(entries[0]).toEqual({
+      timestamp: expect.stringMatching(/^\d{4}-\d\d-\d\dT/),
+      event: 'login',
+      username: server.credentials.username,
+      clientId: server.credentials.clientId,
+      outcome: 'success',
+      method: 'full',
+      durationMs: expect.any(Number),
+      host: os.hostname(),
+      pid: process.pid
+    });
+    [server.credentials.password, server.credentials.clientSecret, first.restToken, first.refreshToken, first.accessToken].forEach((secret) => {
+      expect(text).not.toContain(secret);
+    });
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    expect(() => new JsonLinesAuditSink('')).toThrow('filePath must be a non-empty string');
+  });
+
+  test('records failures with the path that failed and the provider\'s username', async () => {
+    const entries = [];
+    const audit = { write: (entry) => entries.push(entry) };
+    const credentials = async () => ({ ...server.credentials, password: 'wrong' });
+    await expect(loginToBullhorn({ credentials }, { ...config, audit })).rejects.toBeInstanceOf(InvalidCredentialsError);
+    expect(entries).toEqual([expect.objectContaining({
+      outcome: 'failure',
+      method: 'full',
+      username: server.credentials.username,
+      step: 'step1',
+      reason: 'invalid_credentials',
+      errorName: 'InvalidCredentialsError'
+    })]);
+    expect(JSON.stringify(entries)).not.toContain('wrong');
+  });
+
+  test('a failing sink does not break the login or the other sinks', async () => {
+    const entries = [];
+    const events = new EventEmitter();
+    const auditErrors = [];
+    events.on('audit:error', (e) => auditErrors.push(e));
+    const audit = [{ write: async () => { throw new Error('disk full'); } }, { write: (entry) => entries.push(entry) }];
+    await expect(loginToBullhorn({ credentials: server.credentials }, { ...config, audit, events })).resolves.toMatchObject({ method: 'full' });
+    expect(entries).toHaveLength(1);
+    expect(auditErrors).toEqual([expect.objectContaining({ error: 'disk full', errorName: 'Error' })]);
+    await expect(loginToBullhorn({ credentials: server.credentials }, { ...config, audit: {} })).rejects.toThrow('audit must be a sink implementing write(entry)');
+  });
+
+  test('FullLoginRateAlert alerts once when full logins exceed the configured rate', async () => {
+    const onAlert = jest.fn();
+    const alert = new FullLoginRateAlert({ max: 1, windowMs: 60000, onAlert });
+    const first = await loginToBullhorn({ credentials: server.credentials }, { ...config, audit: alert });
+    await loginToBullhorn({ credentials: server.credentials, tokens: { refreshToken: first.refreshToken } }, { ...config, audit: alert });
+    expect(onAlert).not.toHaveBeenCalled();
+
+    await loginToBullhorn({ credentials: server.credentials }, { ...config, audit: alert });
+    await loginToBullhorn({ credentials: server.credentials }, { ...config, audit: alert });
+    expect(onAlert).toHaveBeenCalledTimes(1);
+    expect(onAlert).toHaveBeenCalledWith({ count: 2, max: 1, windowMs: 60000, entry: expect.objectContaining({ method: 'full', outcome: 'success' }) });
+    expect(alert.count).toBe(3);
+
+    expect(() => new FullLoginRateAlert({ max: -1, onAlert })).toThrow('max must be a non-negative integer');
+    expect(() => new FullLoginRateAlert({ max: 1, windowMs: 0, onAlert })).toThrow('windowMs must be a positive number');
+    expect(() => new FullLoginRateAlert({ max: 1 })).toThrow('onAlert must be a function');
+  });
+});
+
+describe('edge runtimes', () => {
+  const vm = require('vm');
+  let server;
+
+  // Evaluate index.js the way an edge bundle would: no Node built-ins, no process, no Buffer
+  function loadWithoutNode() {
+    const required = [];
+    const module = { exports: {} };
+    const sandbox = {
+      module,
+      exports: module.exports,
+      require: (name) => {
+        required.push(name);
+        throw new Error(`Cannot find module '${name}'`);
+      },
+      fetch: (...args) => fetch(...args),
+      URL,
+      URLSearchParams,
+      AbortController,
+      TextEncoder,
+      btoa,
+      crypto: require('crypto').webcrypto,
+      setTimeout,
+      clearTimeout,
+      console
+    };
+    vm.runInNewContext(fs.readFileSync(path.join(__dirname, 'index.js'), 'utf8'), sandbox);
+    return { exports: module.exports, required };
+  }
+
+  beforeEach(async () => {
+    server = createMockBullhornServer();
+    await server.listen();
+  });
+
+  afterEach(async () => {
+    await server.close();
+    delete process.env.BULLHORN_TTL;
+  });
+
+  test('the core loads and logs in without Node built-ins', async () => {
+    const { exports: edge, required } = loadWithoutNode();
+    expect(required).toEqual(['events']);
+
+    const events = [];
+    const session = new edge.BullhornSession(
+      { credentials: server.credentials },
+      { endpoints: { loginInfoUrl: server.loginInfoUrl }, ttlDays: 1 }
+    );
+    session.on('login:success', (e) => events.push(e.method));
+    const auth = await session.getAuth();
+    expect(auth).toMatchObject({ method: 'full', restToken: expect.any(String) });
+    expect(events).toEqual(['full']);
+
+    const { oauthUrl } = await edge.getLoginInfo(server.credentials.username, { endpoints: { loginInfoUrl: server.loginInfoUrl } });
+    // PKCE state and challenge come from Web Crypto
+    const interactive = {
+      redirectUri: 'https://app.example.com/cb',
+      getCallbackUrl: async (url) => {
+        const login = new URL(url);
+        login.searchParams.set('action', 'Login');
+        login.searchParams.set('username', server.credentials.username);
+        login.searchParams.set('password', server.credentials.password);
+        return (await fetch(login, { redirect: 'manual' })).headers.get('location');
+      }
+    };
+    const { clientId, clientSecret } = server.credentials;
+    const grant = await edge.authorize({ oauthUrl, clientId }, { interactive });
+    await expect(edge.exchangeCode({ oauthUrl, clientId, clientSecret, ...grant })).resolves.toMatchObject({ accessToken: expect.any(String) });
+    expect(edge.credentialsFromEnv()).toBeNull();
+  });
+
+  test('environment variables are only read through explicit config', async () => {
+    process.env.BULLHORN_TTL = '2';
+    const result = await loginToBullhorn({ credentials: server.credentials }, { endpoints: { loginInfoUrl: server.loginInfoUrl } });
+    expect(result.restTokenExpiresAt - result.issuedAt).toBe(30 * 24 * 60 * 60 * 1000);
+
+    expect(configFromEnv({ BULLHORN_TTL: '2', THRESHOLD_REMAINING_MIN: '50' })).toEqual({ ttlDays: 2, minRemainingThreshold: 50 });
+    expect(configFromEnv({})).toEqual({});
+    const explicit = await loginToBullhorn(
+      { credentials: server.credentials },
+      { ...configFromEnv(), endpoints: { loginInfoUrl: server.loginInfoUrl } }
+    );
+    expect(explicit.restTokenExpiresAt - explicit.issuedAt).toBe(2 * 24 * 60 * 60 * 1000);
+  });
+});
+
+describe('bullhorn-auth CLI', () => {
+  const { run } = require('./bin/bullhorn-auth.js');
+  const realFetch = global.fetch;
+  const env = {
+    BH_CLIENT_ID: 'id',
+    BH_CLIENT_SECRET: 'sec',
+    BH_USERNAME: 'api.user',
+    BH_PASSWORD: 'p'
+  };
+
+  function capture() {
+    const stream = { text: '', write(chunk) { stream.text += chunk; } };
+    return stream;
+  }
+
+  afterEach(() => {
+    global.fetch = realFetch;
+    jest.resetAllMocks();
+  });
+
+  test('login prints shell export lines', async () => {
+    setupFetchSequence([
+      { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+      { status: 302, headers: { location: 'https://cb?code=CODE' }, json: {} },
+      { status: 200, json: { access_token: 'A', refresh_token: "R'1" } },
+      { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT' } }
+    ]);
+    const stdout = capture();
+    const code = await run(['login', '--format', 'env'], { env, stdout, stderr: capture() });
+    expect(code).toBe(0);
+    expect(stdout.text).toBe([
+      "export BH_REST_URL='https://rest'",
+      "export BH_REST_TOKEN='RT'",
+      "export BH_REFRESH_TOKEN='R'\\''1'",
+      "export BH_ACCESS_TOKEN='A'",
+      ''
+    ].join('\n'));
+  });
+
+  test('refresh never reuses the REST token', async () => {
+    setupFetchSequence([
+      { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+      { status: 200, json: { access_token: 'A2', refresh_token: 'R2' } },
+      { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT2' } }
+    ]);
+    const stdout = capture();
+    const code = await run(['refresh'], {
+      env: { ...env, BH_REST_URL: 'https://rest', BH_REST_TOKEN: 'RT', BH_REFRESH_TOKEN: 'R' },
+      stdout,
+      stderr: capture()
+    });
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout.text)).toMatchObject({ method: 'refresh', restToken: 'RT2' });
+    expect(global.fetch.mock.calls[0][0]).toContain('loginInfo');
+  });
+
+  test('refresh only updates the token file once the refresh has succeeded', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bh-cli-'));
+    const tokenFile = path.join(dir, 'tokens.json');
+    const stored = { restUrl: 'https://rest', restToken: 'RT', refreshToken: 'R', accessToken: 'A' };
+    fs.writeFileSync(tokenFile, JSON.stringify(stored));
+    try {
+      setupFetchSequence([
+        { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+        { status: 400, json: { error: 'invalid_grant' } }
+      ]);
+      const stderr = capture();
+      expect(await run(['refresh', '--token-file', tokenFile], { env, stdout: capture(), stderr })).toBe(1);
+      expect(JSON.parse(fs.readFileSync(tokenFile, 'utf8'))).toEqual(stored);
+      // The password in the environment is never used for a full login
+      expect(global.fetch.mock.calls.some(([url]) => url.includes('authorize'))).toBe(false);
+
+      setupFetchSequence([
+        { status: 200, json: { oauthUrl: 'https://oauth', restUrl: 'https://rest' } },
+        { status: 200, json: { access_token: 'A2', refresh_token: 'R2' } },
+        { status: 200, json: { restUrl: 'https://rest', BhRestToken: 'RT2' } }
+      ]);
+      expect(await run(['refresh', '--token-file', tokenFile], { env, stdout: capture(), stderr: capture() })).toBe(0);
+      expect(JSON.parse(fs.readFileSync(tokenFile, 'utf8'))).toMatchObject({ restToken: 'RT2', refreshToken: 'R2' });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('--env-file loads variables into the environment the command reads', async () => {
+    const config = jest.fn(({ processEnv }) => {
+      processEnv.BH_REST_URL = 'https://rest';
+      processEnv.BH_REST_TOKEN = 'RT';
+    });
+    jest.doMock('dotenv', () => ({ config }), { virtual: true });
+    try {
+      setupFetchSequence([{ status: 200, headers: { 'x-ratelimit-remaining-minute': '1200' }, json: {} }]);
+      const cliEnv = {};
+      const stdout = capture();
+      expect(await run(['ping', '--env-file', '.env.test'], { env: cliEnv, stdout, stderr: capture() })).toBe(0);
+      expect(config).toHaveBeenCalledWith({ path: '.env.test', processEnv: cliEnv });
+      expect(JSON.parse(stdout.text)).toMatchObject({ valid: true, remaining: 1200 });
+    } finally {
+      jest.dontMock('dotenv');
+    }
+  });
+
+  test('ping reports validity and the remaining rate limit', async () => {
+    const tokenEnv = { BH_REST_URL: 'https://rest', BH_REST_TOKEN: 'RT' };
+    setupFetchSequence([{ status: 200, headers: { 'x-ratelimit-limit-minute': '1500', 'x-ratelimit-remaining-minute': '1200' }, json: {} }]);
+    let stdout = capture();
+    expect(await run(['ping'], { env: tokenEnv, stdout, stderr: capture() })).toBe(0);
+    expect(JSON.parse(stdout.text)).toEqual({ valid: true, limit: 1500, remaining: 1200 });
+
+    setupFetchSequence([{ status: 401, json: { errorMessage: 'Bad token' } }]);
+    stdout = capture();
+    expect(await run(['ping'], { env: tokenEnv, stdout, stderr: capture() })).toBe(1);
+    expect(JSON.parse(stdout.text)).toMatchObject({ valid: false, status: 401 });
+  });
+
+  test('ping keeps a token valid when the budget runs out', async () => {
+    const server = createMockBullhornServer();
+    await server.listen();
+    try {
+      const auth = await loginToBullhorn({ credentials: server.credentials }, { endpoints: { loginInfoUrl: server.loginInfoUrl } });
+      const tokenEnv = { BH_REST_URL: auth.restUrl, BH_REST_TOKEN: auth.restToken };
+      server.setRateLimit({ limit: 1500, remaining: 1 });
+
+      let stdout = capture();
+      expect(await run(['ping'], { env: tokenEnv, stdout, stderr: capture() })).toBe(0);
+      expect(JSON.parse(stdout.text)).toEqual({ valid: true, limit: 1500, remaining: 0 });
+
+      stdout = capture();
+      expect(await run(['ping'], { env: tokenEnv, stdout, stderr: capture() })).toBe(0);
+      expect(JSON.parse(stdout.text)).toMatchObject({ valid: true, status: 429, remaining: 0 });
+
+      server.setRateLimit({ limit: 1500 });
+      server.expire('rest');
+      stdout = capture();
+      expect(await run(['ping'], { env: tokenEnv, stdout, stderr: capture() })).toBe(1);
+      expect(JSON.parse(stdout.text)).toMatchObject({ valid: false, status: 401 });
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('whoami shows the API user behind the session', async () => {
+    setupFetchSequence([
+      { status: 200, headers: { 'x-ratelimit-remaining-minute': '500' }, json: {} }, // ping
+      { status: 200, json: { userId: 7, corporationId: 42, corporationName: 'Acme' } }
+    ]);
+    const stdout = capture();
+    const code = await run(['whoami'], {
+      env: { ...env, BH_REST_URL: 'https://rest/', BH_REST_TOKEN: 'RT' },
+      stdout,
+      stderr: capture()
+    });
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout.text)).toMatchObject({ username: 'api.user', userId: 7, corporationId: 42, method: 'existing' });
+    expect(global.fetch.mock.calls[1][0]).toBe('https://rest/settings/userId,corporationId,corporationName');
+  });
+
+  test('usage errors exit with code 2', async () => {
+    const stderr = capture();
+    expect(await run(['bogus'], { env, stdout: capture(), stderr })).toBe(2);
+    expect(stderr.text).toContain('Unknown command: bogus');
+    expect(await run(['login', '--format', 'xml'], { env, stdout: capture(), stderr: capture() })).toBe(2);
+    expect(await run(['refresh'], { env: {}, stdout: capture(), stderr: capture() })).toBe(2);
+  });
+
+  test('authentication failures exit with code 1', async () => {
+    const stderr = capture();
+    expect(await run(['login'], { env: {}, stdout: capture(), stderr })).toBe(1);
+    expect(stderr.text).toContain('Insufficient input');
+  });
+});
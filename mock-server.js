@@ -0,0 +1,448 @@
+/* global Buffer */
+const http = require("http");
+const crypto = require("crypto");
+
+const ENDPOINTS = ["loginInfo", "authorize", "token", "login", "ping", "logout"];
+
+const DEFAULT_CREDENTIALS = {
+  clientId: "mock-client-id",
+  clientSecret: "mock-client-secret",
+  username: "mock.user",
+  password: "mock-password"
+};
+
+/**
+ * In-process stand-in for the Bullhorn loginInfo, OAuth and REST login endpoints.
+ * Tokens are deterministic (`access-1`, `refresh-1`, `rest-1`, ...) so tests can assert on them.
+ */
+class MockBullhornServer {
+  /**
+   * @param {Object} [options] - Server options
+   * @param {Object} [options.credentials] - Accepted clientId, clientSecret, username and password
+   * @param {number} [options.accessTokenTtlMs=600000] - Lifetime of access tokens
+   * @param {number} [options.refreshTokenTtlMs] - Lifetime of refresh tokens (default: no expiry)
+   * @param {number} [options.restTokenTtlMs=600000] - Lifetime of BhRestTokens
+   * @param {number} [options.rateLimit=1500] - Requests per minute allowed on REST endpoints
+   * @param {string} [options.corporation="mock"] - Path segment of the REST session URL
+   */
+  constructor(options = {}) {
+    this.credentials = { ...DEFAULT_CREDENTIALS, ...options.credentials };
+    this.accessTokenTtlMs = options.accessTokenTtlMs ?? 600000;
+    this.refreshTokenTtlMs = options.refreshTokenTtlMs ?? null;
+    this.restTokenTtlMs = options.restTokenTtlMs ?? 600000;
+    this.corporation = options.corporation ?? "mock";
+    this.requests = [];
+    this.url = null;
+    this._rate = { limit: options.rateLimit ?? 1500, remaining: options.rateLimit ?? 1500, resetAt: 0 };
+    this._tokens = { code: new Map(), access: new Map(), refresh: new Map(), rest: new Map() };
+    this._counter = 0;
+    this._failures = new Map(ENDPOINTS.map((name) => [name, []]));
+    this._timers = new Set();
+    this._server = http.createServer((req, res) => {
+      this._handle(req, res).catch((error) => {
+        if (!res.headersSent) this._send(res, 500, { errorMessage: error.message });
+      });
+    });
+  }
+
+  /**
+   * Start listening on the loopback interface
+   * @param {number} [port=0] - Port, 0 picks a free one
+   * @returns {Promise<string>} Base URL of the server
+   */
+  async listen(port = 0) {
+    await new Promise((resolve, reject) => {
+      this._server.once("error", reject);
+      this._server.listen(port, "127.0.0.1", () => {
+        this._server.off("error", reject);
+        resolve();
+      });
+    });
+    this.url = `http://127.0.0.1:${this._server.address().port}`;
+    return this.url;
+  }
+
+  /**
+   * Stop the server, dropping open connections and pending delayed responses
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this._timers.forEach((timer) => clearTimeout(timer));
+    this._timers.clear();
+    if (!this._server.listening) return;
+    await new Promise((resolve) => {
+      this._server.close(() => resolve());
+      this._server.closeAllConnections?.();
+    });
+  }
+
+  /**
+   * URL to pass as `config.endpoints.loginInfoUrl`
+   * @returns {string}
+   */
+  get loginInfoUrl() {
+    return `${this.url}/rest-services/loginInfo`;
+  }
+
+  /**
+   * OAuth base URL returned by loginInfo
+   * @returns {string}
+   */
+  get oauthUrl() {
+    return `${this.url}/oauth`;
+  }
+
+  /**
+   * REST base URL returned by loginInfo
+   * @returns {string}
+   */
+  get restUrl() {
+    return `${this.url}/rest-services`;
+  }
+
+  /**
+   * Script the next responses of an endpoint. Without a status the request is only
+   * delayed and then answered normally, which is how timeouts are simulated.
+   * @param {string} endpoint - "loginInfo", "authorize", "token", "login", "ping" or "logout"
+   * @param {Object} [failure] - What to do instead of the normal response
+   * @param {number} [failure.status] - Status to respond with
+   * @param {Object} [failure.body] - JSON body (default `{ errorMessage: "Mock failure" }`)
+   * @param {Object} [failure.headers] - Extra response headers, e.g. `{ "Retry-After": "1" }`
+   * @param {number} [failure.delayMs=0] - Wait this long before responding
+   * @param {boolean} [failure.drop=false] - Destroy the connection instead of responding
+   * @param {number} [failure.times=1] - Number of requests affected
+   * @returns {MockBullhornServer} this, for chaining
+   */
+  fail(endpoint, failure = {}) {
+    if (!ENDPOINTS.includes(endpoint)) {
+      throw new Error(`endpoint must be one of: ${ENDPOINTS.join(", ")}`);
+    }
+    const times = failure.times ?? 1;
+    for (let i = 0; i < times; i += 1) {
+      this._failures.get(endpoint).push(failure);
+    }
+    return this;
+  }
+
+  /**
+   * Expire every token of one kind issued so far
+   * @param {string} kind - "access", "refresh", "rest" or "code"
+   * @returns {MockBullhornServer} this, for chaining
+   */
+  expire(kind) {
+    const tokens = this._tokens[kind];
+    if (!tokens) {
+      throw new Error("kind must be one of: access, refresh, rest, code");
+    }
+    tokens.forEach((entry) => {
+      entry.expiresAt = 0;
+    });
+    return this;
+  }
+
+  /**
+   * Change the per-minute budget reported in x-ratelimit-* headers
+   * @param {Object} rate - Rate-limit state
+   * @param {number} [rate.limit] - Requests per minute
+   * @param {number} [rate.remaining] - Requests left in the current minute
+   * @returns {MockBullhornServer} this, for chaining
+   */
+  setRateLimit({ limit, remaining } = {}) {
+    if (limit !== undefined) this._rate.limit = limit;
+    this._rate.remaining = remaining ?? this._rate.limit;
+    this._rate.resetAt = Date.now() + 60000;
+    return this;
+  }
+
+  /**
+   * Issue a token of one kind
+   * @private
+   * @param {string} kind - Token kind
+   * @param {number|null} ttlMs - Lifetime, null for none
+   * @param {Object} [data] - Extra data kept with the token
+   * @returns {string} Token
+   */
+  _issue(kind, ttlMs, data = {}) {
+    this._counter += 1;
+    const token = `${kind}-${this._counter}`;
+    this._tokens[kind].set(token, { ...data, expiresAt: ttlMs === null ? Infinity : Date.now() + ttlMs });
+    return token;
+  }
+
+  /**
+   * Look up a live token, removing it when consume is set
+   * @private
+   * @param {string} kind - Token kind
+   * @param {string} token - Token to check
+   * @param {boolean} [consume=false] - Single-use tokens are removed once presented
+   * @returns {Object|null} Data kept with the token
+   */
+  _check(kind, token, consume = false) {
+    const entry = token ? this._tokens[kind].get(token) : undefined;
+    if (!entry) return null;
+    if (consume || entry.expiresAt <= Date.now()) this._tokens[kind].delete(token);
+    return entry.expiresAt > Date.now() ? entry : null;
+  }
+
+  /**
+   * Count one REST request against the per-minute budget
+   * @private
+   * @returns {Object} Rate-limit headers, plus Retry-After when the budget is exhausted
+   */
+  _consumeRate() {
+    const now = Date.now();
+    if (now >= this._rate.resetAt) {
+      this._rate.remaining = this._rate.limit;
+      this._rate.resetAt = now + 60000;
+    }
+    const headers = { "x-ratelimit-limit-minute": String(this._rate.limit) };
+    if (this._rate.remaining <= 0) {
+      headers["x-ratelimit-remaining-minute"] = "0";
+      headers["Retry-After"] = String(Math.ceil((this._rate.resetAt - now) / 1000));
+      return { exhausted: true, headers };
+    }
+    this._rate.remaining -= 1;
+    headers["x-ratelimit-remaining-minute"] = String(this._rate.remaining);
+    return { exhausted: false, headers };
+  }
+
+  /**
+   * Write a JSON response, or an HTML one when body is a string
+   * @private
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {Object|string} body - Response body
+   * @param {Object} [headers] - Extra headers
+   */
+  _send(res, status, body, headers = {}) {
+    const isHtml = typeof body === "string";
+    res.writeHead(status, {
+      "Content-Type": isHtml ? "text/html; charset=utf-8" : "application/json",
+      ...headers
+    });
+    res.end(isHtml ? body : JSON.stringify(body ?? {}));
+  }
+
+  /**
+   * Route one request, applying the next scripted failure for its endpoint
+   * @private
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async _handle(req, res) {
+    const target = new URL(req.url, this.url);
+    const pathname = target.pathname.replace(/\/{2,}/g, "/");
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    // Bullhorn accepts parameters in the query string or a form body
+    const params = Object.fromEntries(target.searchParams);
+    Object.assign(params, Object.fromEntries(new URLSearchParams(Buffer.concat(chunks).toString("utf8"))));
+
+    const sessionPrefix = `/rest-services/${this.corporation}/`;
+    let endpoint = null;
+    if (req.method === "GET" && pathname === "/rest-services/loginInfo") endpoint = "loginInfo";
+    else if (req.method === "GET" && pathname === "/oauth/authorize") endpoint = "authorize";
+    else if (req.method === "POST" && pathname === "/oauth/token") endpoint = "token";
+    else if (req.method === "POST" && pathname === "/rest-services/login") endpoint = "login";
+    else if (req.method === "GET" && pathname === `${sessionPrefix}ping`) endpoint = "ping";
+    else if (req.method === "GET" && pathname === `${sessionPrefix}logout`) endpoint = "logout";
+
+    this.requests.push({ method: req.method, path: pathname, endpoint, params, headers: req.headers });
+    if (!endpoint) {
+      this._send(res, 404, { errorMessage: `No mock route for ${req.method} ${pathname}` });
+      return;
+    }
+
+    const failure = this._failures.get(endpoint).shift();
+    if (failure?.delayMs) {
+      await new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          this._timers.delete(timer);
+          resolve();
+        }, failure.delayMs);
+        this._timers.add(timer);
+      });
+      if (res.destroyed) return;
+    }
+    if (failure?.drop) {
+      req.socket.destroy();
+      return;
+    }
+    if (failure?.status) {
+      this._send(res, failure.status, failure.body ?? { errorMessage: "Mock failure" }, failure.headers);
+      return;
+    }
+
+    const handlers = {
+      loginInfo: () => this._loginInfo(res, params),
+      authorize: () => this._authorize(res, params),
+      token: () => this._token(res, params),
+      login: () => this._restLogin(res, params),
+      ping: () => this._ping(res, params, req.headers),
+      logout: () => this._logout(res, params, req.headers)
+    };
+    handlers[endpoint]();
+  }
+
+  /**
+   * Answer loginInfo with this server's OAuth and REST URLs
+   * @private
+   */
+  _loginInfo(res, params) {
+    if (params.username !== this.credentials.username) {
+      this._send(res, 400, { errorMessage: "Invalid username" });
+      return;
+    }
+    this._send(res, 200, { oauthUrl: this.oauthUrl, restUrl: this.restUrl, atsUrl: this.url });
+  }
+
+  /**
+   * Redirect with a single-use authorization code when the credentials match
+   * @private
+   */
+  _authorize(res, params) {
+    if (params.client_id !== this.credentials.clientId) {
+      this._send(res, 400, { error: "invalid_client", error_description: "Invalid client id" });
+      return;
+    }
+    if (params.username !== this.credentials.username || params.password !== this.credentials.password) {
+      // Bullhorn answers bad credentials with its login page rather than a redirect
+      this._send(res, 200, "<html><head><title>Bullhorn Login</title></head><body><form id=\"loginForm\">"
+        + "<div class=\"error-message\">Invalid username or password.</div></form></body></html>");
+      return;
+    }
+    const code = this._issue("code", 60000, {
+      redirectUri: params.redirect_uri,
+      codeChallenge: params.code_challenge,
+      codeChallengeMethod: params.code_challenge_method
+    });
+    const location = new URL(params.redirect_uri || `${this.url}/callback`);
+    location.searchParams.set("code", code);
+    if (params.state) location.searchParams.set("state", params.state);
+    this._send(res, 302, {}, { Location: location.toString() });
+  }
+
+  /**
+   * Exchange an authorization code or a refresh token for new tokens
+   * @private
+   */
+  _token(res, params) {
+    if (params.client_id !== this.credentials.clientId || params.client_secret !== this.credentials.clientSecret) {
+      this._send(res, 401, { error: "invalid_client", error_description: "Invalid client credentials" });
+      return;
+    }
+    if (params.grant_type === "authorization_code") {
+      const grant = this._check("code", params.code, true);
+      if (!grant) {
+        this._send(res, 400, { error: "invalid_grant", error_description: "Invalid, expired, or used authorization code" });
+        return;
+      }
+      if (grant.redirectUri && grant.redirectUri !== params.redirect_uri) {
+        this._send(res, 400, { error: "invalid_grant", error_description: "redirect_uri does not match the authorize request" });
+        return;
+      }
+      if (grant.codeChallenge && !this._verifyPkce(grant, params.code_verifier)) {
+        this._send(res, 400, { error: "invalid_grant", error_description: "PKCE verification failed" });
+        return;
+      }
+    } else if (params.grant_type === "refresh_token") {
+      // Refresh tokens rotate: each one works exactly once
+      if (!this._check("refresh", params.refresh_token, true)) {
+        this._send(res, 400, { error: "invalid_grant", error_description: "Invalid, expired, or revoked refresh token" });
+        return;
+      }
+    } else {
+      this._send(res, 400, { error: "unsupported_grant_type", error_description: `Unsupported grant_type ${params.grant_type}` });
+      return;
+    }
+    this._send(res, 200, {
+      access_token: this._issue("access", this.accessTokenTtlMs),
+      token_type: "Bearer",
+      expires_in: Math.round(this.accessTokenTtlMs / 1000),
+      refresh_token: this._issue("refresh", this.refreshTokenTtlMs)
+    });
+  }
+
+  /**
+   * Check a PKCE code_verifier against the challenge sent to authorize
+   * @private
+   * @param {Object} grant - Data kept with the authorization code
+   * @param {string} [verifier] - code_verifier sent to the token endpoint
+   * @returns {boolean}
+   */
+  _verifyPkce(grant, verifier) {
+    if (!verifier) return false;
+    const expected = grant.codeChallengeMethod === "S256"
+      ? crypto.createHash("sha256").update(verifier).digest("base64url")
+      : verifier;
+    return expected === grant.codeChallenge;
+  }
+
+  /**
+   * Exchange an access token for a REST session
+   * @private
+   */
+  _restLogin(res, params) {
+    const rate = this._consumeRate();
+    if (rate.exhausted) {
+      this._send(res, 429, { errorMessage: "Too many requests" }, rate.headers);
+      return;
+    }
+    if (!this._check("access", params.access_token)) {
+      this._send(res, 401, { errorCode: 401, errorMessage: "Invalid or expired access token" }, rate.headers);
+      return;
+    }
+    this._send(res, 200, {
+      BhRestToken: this._issue("rest", this.restTokenTtlMs),
+      restUrl: `${this.restUrl}/${this.corporation}/`
+    }, rate.headers);
+  }
+
+  /**
+   * Check a REST session
+   * @private
+   */
+  _ping(res, params, headers) {
+    const rate = this._consumeRate();
+    if (rate.exhausted) {
+      this._send(res, 429, { errorMessage: "Too many requests" }, rate.headers);
+      return;
+    }
+    const session = this._check("rest", headers.bhresttoken || params.BhRestToken);
+    if (!session) {
+      this._send(res, 401, { errorCode: 401, errorMessage: "Bad 'BhRestToken' or timed-out." }, rate.headers);
+      return;
+    }
+    this._send(res, 200, { sessionExpires: session.expiresAt }, rate.headers);
+  }
+
+  /**
+   * End a REST session; its BhRestToken stops working
+   * @private
+   */
+  _logout(res, params, headers) {
+    const rate = this._consumeRate();
+    if (rate.exhausted) {
+      this._send(res, 429, { errorMessage: "Too many requests" }, rate.headers);
+      return;
+    }
+    if (!this._check("rest", headers.bhresttoken || params.BhRestToken, true)) {
+      this._send(res, 401, { errorCode: 401, errorMessage: "Bad 'BhRestToken' or timed-out." }, rate.headers);
+      return;
+    }
+    this._send(res, 200, {}, rate.headers);
+  }
+}
+
+/**
+ * Create a local mock Bullhorn server for tests and offline development. Call
+ * `listen()` and point the client at it with `config.endpoints.loginInfoUrl`.
+ * @param {Object} [options] - See MockBullhornServer
+ * @returns {MockBullhornServer} Server, not yet listening
+ */
+function createMockBullhornServer(options) {
+  return new MockBullhornServer(options);
+}
+
+module.exports = { createMockBullhornServer, MockBullhornServer };